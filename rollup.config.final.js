@@ -11,7 +11,12 @@ const distributionDirectory = "dist";
 
 export default (cliArgs) => {
   return [{
-    input: `${intermediateDirectory}/webScience.js`,
+    // The worker entry point is a separate build of the modules that do not
+    // depend on WebExtensions APIs
+    input: [
+      `${intermediateDirectory}/webScience.js`,
+      `${intermediateDirectory}/webScienceWorker.js`
+    ],
     output: {
       dir: distributionDirectory,
       preserveModules: true,
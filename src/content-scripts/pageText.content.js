@@ -8,6 +8,13 @@
 // @rollup/plugin-commonjs conversion from CommonJS to ES6 modules doesn't
 // work on the Readability class but does work on the entire module
 import * as readability from "@mozilla/readability";
+import * as debugging from "../debugging.js";
+
+/**
+ * @constant {debugging.debuggingLogger}
+ * @private
+ */
+const debugLog = debugging.getDebuggingLog("pageText");
 
 // IIFE wrapper to allow early return
 (function() {
@@ -57,8 +64,10 @@ import * as readability from "@mozilla/readability";
                     });
                     parsedPage = true;
                 }
-                // Ignore errors, since when Readability isn't successful we just don't send text
+                // When Readability isn't successful we don't send text, but we report the
+                // failure so that studies can monitor how often it happens
                 catch(error) {
+                    debugLog.reportError(error, { counter: "readabilityFailures" });
                     return;
                 }
             }
@@ -1,12 +1,48 @@
 /**
  * This module provides utilities for logging debugging events.
- * The module currently just outputs events with `console.debug`.
- * 
+ *
+ * # Log Levels and Structured Fields
+ * Debugging loggers support four levels: "debug", "info", "warn", and "error".
+ * Calling a logger directly logs at the "debug" level, and the logger's
+ * `info`, `warn`, and `error` functions log at other levels. Each log entry
+ * can include structured fields in addition to a message.
+ *
+ * # Console Output
+ * Log entries are output to the console only if `enableDebugging` has been
+ * called, and only at or above the console log level.
+ *
+ * # Persistent Logs
+ * Log entries at or above the persistent log level ("info" by default) are
+ * kept in a ring buffer in extension local storage, so that logs from study
+ * participants' browsers are not lost. Logs are never sent anywhere
+ * automatically. A study can opt in to including logs in bug reports with
+ * `exportLogs`, which redacts URLs by default. In contexts without
+ * WebExtensions APIs (e.g., Web Workers), logs are not persisted.
+ *
+ * # Module Errors and Health Counters
+ * Modules report errors that would otherwise be swallowed (e.g., a parser
+ * failing on an unexpected page) with a logger's `reportError` function, and
+ * count notable conditions (e.g., messages dropped by schema validation) with
+ * the logger's `count` function. Reported errors are logged at the "error"
+ * level, counted, and dispatched to `onModuleError` listeners. A study can
+ * monitor data quality in the field by listening to `onModuleError` and
+ * periodically checking `getHealthCounters`. Counters are persisted in
+ * extension local storage. Errors and counts in content scripts are forwarded
+ * to the background script, and counts in other extension pages (e.g., a
+ * popup) are added to the persisted counters.
+ *
  * @module webScience.debugging
  */
 
 /**
- * Whether to log debugging events.
+ * The supported log levels, from least to most severe.
+ * @constant {string[]}
+ * @private
+ */
+const logLevels = [ "debug", "info", "warn", "error" ];
+
+/**
+ * Whether to log debugging events to the console.
  * @private
  * @type {boolean}
  * @default
@@ -14,16 +50,309 @@
 let debug = false;
 
 /**
- * Enable logging for debugging events.
+ * The minimum level for logging to the console.
+ * @private
+ * @type {string}
+ * @default
+ */
+let consoleLevel = "debug";
+
+/**
+ * The minimum level for persisting log entries.
+ * @private
+ * @type {string}
+ * @default
+ */
+let persistLevel = "info";
+
+/**
+ * The maximum number of persisted log entries. When the ring buffer is full, the
+ * oldest entries are discarded.
+ * @private
+ * @type {number}
+ * @default
+ */
+let maxPersistedEntries = 1000;
+
+/**
+ * The key in extension local storage for the persisted ring buffer of log entries.
+ * @constant {string}
+ * @private
+ */
+const logStorageKey = "webScience.debugging.logs";
+
+/**
+ * The delay (in milliseconds) for batching writes of log entries to extension local storage.
+ * @constant {number}
+ * @private
+ * @default
+ */
+const persistDelay = 1000;
+
+/**
+ * Log entries in this context that have not yet been added to the persisted ring
+ * buffer, oldest first.
+ * @type {LogEntry[]}
+ * @private
+ */
+let pendingLogEntries = [ ];
+
+/**
+ * A Promise that resolves once pending writes of the ring buffer in this context are
+ * complete, so that writes do not overwrite each other.
+ * @type {Promise}
+ * @private
+ */
+let logWritePromise = Promise.resolve();
+
+/**
+ * The timeout ID for the pending write of the ring buffer, or null if there is no
+ * pending write.
+ * @type {number|null}
+ * @private
+ */
+let persistTimeoutId = null;
+
+/**
+ * The key in extension local storage for the persisted health counters.
+ * @constant {string}
+ * @private
  */
-export function enableDebugging() {
+const healthCountersStorageKey = "webScience.debugging.healthCounters";
+
+/**
+ * The message type for forwarding module errors and health counts from content
+ * scripts to the background script.
+ * @constant {string}
+ * @private
+ */
+const moduleErrorMessageType = "webScience.debugging.moduleError";
+
+/**
+ * The health counts in this context that have not yet been added to the persisted
+ * health counters, where keys are module names and values are objects that map
+ * counter names to counts. If health counters cannot be persisted in this context,
+ * these are all the health counts.
+ * @type {Object<string, Object<string, number>>}
+ * @private
+ */
+let pendingHealthCounts = { };
+
+/**
+ * A Promise that resolves once pending writes of the health counters in this context
+ * are complete, so that writes do not overwrite each other.
+ * @type {Promise}
+ * @private
+ */
+let healthCountersWritePromise = Promise.resolve();
+
+/**
+ * The timeout ID for the pending write of the health counters, or null if there is
+ * no pending write.
+ * @type {number|null}
+ * @private
+ */
+let healthCountersTimeoutId = null;
+
+/**
+ * A structured log entry.
+ * @typedef {Object} LogEntry
+ * @property {number} time - The time (in milliseconds since the epoch) of the entry.
+ * @property {string} level - The log level ("debug", "info", "warn", or "error").
+ * @property {string} module - The name of the module that generated the entry.
+ * @property {string} message - The message.
+ * @property {Object} fields - Structured fields for the entry.
+ */
+
+/**
+ * Enable logging debugging events to the console.
+ * @param {Object} [options] - Options for console logging.
+ * @param {string} [options.level="debug"] - The minimum level to log to the console.
+ */
+export function enableDebugging({
+    level = "debug"
+} = { }) {
+    if(!logLevels.includes(level)) {
+        throw new Error(`Unsupported log level: ${level}`);
+    }
     debug = true;
+    consoleLevel = level;
 }
 
 /**
- * A function that outputs a message to `console.debug` in a consistent format.
+ * Configure persistent logging.
+ * @param {Object} [options] - Options for persistent logging.
+ * @param {string|null} [options.level] - The minimum level to persist, or null to
+ * disable persistent logging.
+ * @param {number} [options.maxEntries] - The maximum number of persisted log entries.
+ */
+export function configureLogs({
+    level = persistLevel,
+    maxEntries = maxPersistedEntries
+} = { }) {
+    if((level !== null) && !logLevels.includes(level)) {
+        throw new Error(`Unsupported log level: ${level}`);
+    }
+    persistLevel = level;
+    maxPersistedEntries = maxEntries;
+}
+
+/**
+ * Whether persistent logging is possible in this context.
+ * @returns {boolean} Whether extension local storage is available.
+ * @private
+ */
+function canPersistLogs() {
+    return (typeof browser === "object") && (browser !== null) &&
+        (typeof browser.storage === "object") && (typeof browser.storage.local === "object");
+}
+
+/**
+ * Discard the oldest log entries if there are more than the maximum number of
+ * persisted log entries.
+ * @param {LogEntry[]} logEntries - The log entries, oldest first, which are modified.
+ * @returns {LogEntry[]} The log entries.
+ * @private
+ */
+function trimLogEntries(logEntries) {
+    if(logEntries.length > maxPersistedEntries) {
+        logEntries.splice(0, logEntries.length - maxPersistedEntries);
+    }
+    return logEntries;
+}
+
+/**
+ * Load the ring buffer from extension local storage.
+ * @returns {Promise<LogEntry[]>} The persisted log entries, oldest first.
+ * @private
+ */
+async function loadLogEntries() {
+    const storageResult = await browser.storage.local.get(logStorageKey);
+    return Array.isArray(storageResult[logStorageKey]) ? storageResult[logStorageKey] : [ ];
+}
+
+/**
+ * Queue a write of the ring buffer in extension local storage, after any pending
+ * writes in this context.
+ * @param {Function} updateLogEntries - A function that receives the persisted log
+ * entries and returns the log entries to write.
+ * @returns {Promise} A Promise that resolves once the ring buffer has been written.
+ * @private
+ */
+function writeLogEntries(updateLogEntries) {
+    logWritePromise = logWritePromise.catch(() => { }).then(async () => {
+        await browser.storage.local.set({
+            [logStorageKey]: trimLogEntries(updateLogEntries(await loadLogEntries()))
+        });
+    });
+    return logWritePromise;
+}
+
+/**
+ * Add the pending log entries in this context to the persisted ring buffer. Entries
+ * are appended to the ring buffer in extension local storage when written, rather
+ * than overwriting it, so that entries from other extension contexts (e.g., a popup
+ * or a content script) are not lost.
+ * @returns {Promise} A Promise that resolves once the ring buffer has been written.
+ * @private
+ */
+async function persistLogBuffer() {
+    if(persistTimeoutId !== null) {
+        clearTimeout(persistTimeoutId);
+        persistTimeoutId = null;
+    }
+    const logEntries = pendingLogEntries;
+    pendingLogEntries = [ ];
+    if(logEntries.length === 0) {
+        await logWritePromise.catch(() => { });
+        return;
+    }
+    try {
+        await writeLogEntries(storedEntries => storedEntries.concat(logEntries));
+    }
+    catch(error) {
+        // Keep the entries for the next write
+        pendingLogEntries = trimLogEntries(logEntries.concat(pendingLogEntries));
+        console.debug(`webScience.debugging: Unable to persist logs: ${error}`);
+    }
+}
+
+/**
+ * Add a log entry to the pending log entries and schedule a write to extension local
+ * storage.
+ * @param {LogEntry} logEntry - The log entry.
+ * @private
+ */
+function persistLogEntry(logEntry) {
+    pendingLogEntries.push(logEntry);
+    trimLogEntries(pendingLogEntries);
+    if(persistTimeoutId === null) {
+        persistTimeoutId = setTimeout(persistLogBuffer, persistDelay);
+    }
+}
+
+/**
+ * Whether a log level is at or above a minimum log level.
+ * @param {string} level - The log level.
+ * @param {string|null} minimumLevel - The minimum log level, or null for no level.
+ * @returns {boolean} Whether the level is at or above the minimum level.
+ * @private
+ */
+function isAtLeastLevel(level, minimumLevel) {
+    return (minimumLevel !== null) && (logLevels.indexOf(level) >= logLevels.indexOf(minimumLevel));
+}
+
+/**
+ * Log an entry to the console and to the persistent ring buffer, depending on the
+ * entry's level.
+ * @param {string} moduleName - The name of the module that generated the entry.
+ * @param {string} level - The log level.
+ * @param {string} message - The message.
+ * @param {Object} [fields={}] - Structured fields for the entry.
+ * @private
+ */
+function log(moduleName, level, message, fields = { }) {
+    if(debug && isAtLeastLevel(level, consoleLevel)) {
+        const consoleMessage = "webScience." + moduleName + ": " + message;
+        const consoleArguments = Object.keys(fields).length > 0 ? [ consoleMessage, fields ] : [ consoleMessage ];
+        if(level === "error") console.error(...consoleArguments);
+        else if(level === "warn") console.warn(...consoleArguments);
+        else console.debug(...consoleArguments);
+    }
+    if(isAtLeastLevel(level, persistLevel) && canPersistLogs()) {
+        let serializableFields = { };
+        try {
+            serializableFields = JSON.parse(JSON.stringify(fields));
+        }
+        catch(error) {
+            serializableFields = { unserializableFields: `${error}` };
+        }
+        persistLogEntry({
+            time: Date.now(),
+            level,
+            module: moduleName,
+            message: `${message}`,
+            fields: serializableFields
+        });
+    }
+}
+
+/**
+ * A function that logs a debugging event at the "debug" level, with functions for
+ * logging at other levels.
  * @callback debuggingLogger
- * @param {string} message - The message to output to `console.debug`.
+ * @param {string} message - The message to log.
+ * @param {Object} [fields] - Structured fields for the log entry.
+ * @property {function(string, Object=)} debug - Log at the "debug" level.
+ * @property {function(string, Object=)} info - Log at the "info" level.
+ * @property {function(string, Object=)} warn - Log at the "warn" level.
+ * @property {function(string, Object=)} error - Log at the "error" level.
+ * @property {function((Error|string), Object=)} reportError - Report an error that the
+ * module could not handle. The error is logged at the "error" level, counted, and
+ * dispatched to `onModuleError` listeners. Supported options are `counter` (the health
+ * counter to increment, default "errors") and `fields` (structured fields).
+ * @property {function(string, number=)} count - Increment a health counter for the
+ * module, by 1 by default.
  */
 
 /**
@@ -33,7 +362,455 @@ export function enableDebugging() {
  * @returns {debuggingLogger} - A debugging logger.
  */
 export function getDebuggingLog(moduleName) {
-    return ((text) => {
-        if (debug) console.debug("webScience." + moduleName + ": " + text);
+    const debuggingLogger = ((text, fields) => {
+        log(moduleName, "debug", text, fields);
+    });
+    for(const level of logLevels) {
+        debuggingLogger[level] = ((text, fields) => {
+            log(moduleName, level, text, fields);
+        });
+    }
+    debuggingLogger.reportError = ((error, options) => {
+        reportModuleError(moduleName, error, options);
+    });
+    debuggingLogger.count = ((counterName, amount) => {
+        countModuleHealth(moduleName, counterName, amount);
+    });
+    return debuggingLogger;
+}
+
+/**
+ * A RegExp that matches URLs (with a scheme) in text.
+ * @constant {RegExp}
+ * @private
+ */
+const urlRegExp = /\b[a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^\s"'<>`]+/g;
+
+/**
+ * Redact URLs in a value, recursively for arrays and objects.
+ * @param {*} value - The value.
+ * @returns {*} The value with URLs in strings replaced by "[URL]".
+ * @private
+ */
+function redactUrls(value) {
+    if(typeof value === "string") {
+        return value.replace(urlRegExp, "[URL]");
+    }
+    if(Array.isArray(value)) {
+        return value.map(redactUrls);
+    }
+    if((typeof value === "object") && (value !== null)) {
+        const redactedValue = { };
+        for(const key of Object.keys(value)) {
+            redactedValue[key] = redactUrls(value[key]);
+        }
+        return redactedValue;
+    }
+    return value;
+}
+
+/**
+ * Export the persisted log entries, for example to include in a bug report. Logs are
+ * only exported when a study calls this function.
+ * @param {Object} [options] - Options for exporting logs.
+ * @param {boolean} [options.redactUrls=true] - Whether to replace URLs in messages and
+ * fields with "[URL]".
+ * @param {string} [options.level="debug"] - The minimum level to export.
+ * @param {number} [options.since=0] - Only export entries at or after this time (in
+ * milliseconds since the epoch).
+ * @returns {Promise<LogEntry[]>} The log entries, oldest first.
+ */
+export async function exportLogs({
+    redactUrls: shouldRedactUrls = true,
+    level = "debug",
+    since = 0
+} = { }) {
+    if(!canPersistLogs()) {
+        return [ ];
+    }
+    await persistLogBuffer();
+    let logEntries = [ ];
+    try {
+        logEntries = await loadLogEntries();
+    }
+    catch(error) {
+        console.debug(`webScience.debugging: Unable to load persisted logs: ${error}`);
+    }
+    // Include entries that could not be persisted
+    logEntries = trimLogEntries(logEntries.concat(pendingLogEntries));
+    return logEntries.filter(logEntry => isAtLeastLevel(logEntry.level, level) && (logEntry.time >= since))
+        .map(logEntry => shouldRedactUrls ? redactUrls(logEntry) : JSON.parse(JSON.stringify(logEntry)));
+}
+
+/**
+ * Delete the persisted log entries.
+ * @returns {Promise} A Promise that resolves once the entries have been deleted.
+ */
+export async function clearLogs() {
+    if(!canPersistLogs()) {
+        return;
+    }
+    if(persistTimeoutId !== null) {
+        clearTimeout(persistTimeoutId);
+        persistTimeoutId = null;
+    }
+    pendingLogEntries = [ ];
+    try {
+        await writeLogEntries(() => [ ]);
+    }
+    catch(error) {
+        console.debug(`webScience.debugging: Unable to delete persisted logs: ${error}`);
+    }
+}
+
+/**
+ * The details of a module error.
+ * @typedef {Object} ModuleErrorDetails
+ * @property {string} module - The name of the module that reported the error.
+ * @property {string} counter - The health counter that was incremented for the error.
+ * @property {string} message - The error message.
+ * @property {string|null} stack - The error stack, if available.
+ * @property {Object} fields - Structured fields for the error.
+ * @property {number} time - The time (in milliseconds since the epoch) of the error.
+ * @property {boolean} contentScript - Whether the error was reported in a content script.
+ */
+
+/**
+ * @callback moduleErrorListener
+ * @param {ModuleErrorDetails} details - Details about the module error.
+ */
+
+/**
+ * A minimal event, with the same listener API as `events.Event`, for module errors.
+ * This module cannot use `events.createEvent`, because the events module depends on
+ * this module for logging.
+ * @private
+ */
+class ModuleErrorEvent {
+    /**
+     * Create a module error event.
+     * @private
+     */
+    constructor() {
+        this.name = "webScience.debugging.onModuleError";
+        this.listeners = new Set();
+    }
+
+    /**
+     * Add a listener for module errors.
+     * @param {moduleErrorListener} listener - The listener to add.
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        listener.webScienceEventName = this.name;
+    }
+
+    /**
+     * Remove a listener for module errors.
+     * @param {moduleErrorListener} listener - The listener to remove.
+     */
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * Whether a listener has been added for module errors.
+     * @param {moduleErrorListener} listener - The listener to check.
+     * @returns {boolean} Whether the listener has been added.
+     */
+    hasListener(listener) {
+        return this.listeners.has(listener);
+    }
+
+    /**
+     * Whether there are any listeners for module errors.
+     * @returns {boolean} Whether there are any listeners.
+     */
+    hasAnyListeners() {
+        return this.listeners.size > 0;
+    }
+
+    /**
+     * Notify listeners of a module error. Errors in listeners are output to the
+     * console, rather than reported, to avoid recursive reports.
+     * @param {ModuleErrorDetails} details - Details about the module error.
+     * @private
+     */
+    notifyListeners(details) {
+        for(const listener of this.listeners) {
+            try {
+                listener(details);
+            }
+            catch(error) {
+                console.debug(`webScience.debugging: Error in module error listener: ${error}`);
+            }
+        }
+    }
+}
+
+/**
+ * An event that fires when a module reports an error that it could not handle, in
+ * the background script or in a content script.
+ * @constant {ModuleErrorEvent}
+ */
+export const onModuleError = new ModuleErrorEvent();
+
+/**
+ * Whether this context is a content script, where module errors and health counts
+ * should be forwarded to the background script. Content scripts have
+ * `browser.runtime` but not `browser.tabs`.
+ * @returns {boolean} Whether this context is a content script.
+ * @private
+ */
+function isContentScript() {
+    return (typeof browser === "object") && (browser !== null) &&
+        (typeof browser.runtime === "object") && (typeof browser.tabs !== "object");
+}
+
+/**
+ * Forward a module error or health count from a content script to the background script.
+ * @param {Object} message - The message to forward, without a type.
+ * @private
+ */
+function forwardToBackground(message) {
+    try {
+        browser.runtime.sendMessage({ type: moduleErrorMessageType, ...message }).catch(() => { });
+    }
+    catch(error) {
+        console.debug(`webScience.debugging: Unable to forward to the background script: ${error}`);
+    }
+}
+
+/**
+ * Increment a health counter.
+ * @param {string} moduleName - The name of the module.
+ * @param {string} counterName - The name of the counter.
+ * @param {number} [amount=1] - The amount to increment the counter by.
+ * @private
+ */
+function countModuleHealth(moduleName, counterName, amount = 1) {
+    if(isContentScript()) {
+        forwardToBackground({ module: moduleName, counter: counterName, amount });
+        return;
+    }
+    incrementHealthCounter(moduleName, counterName, amount);
+}
+
+/**
+ * Increment a health counter in this context and schedule a write to extension local
+ * storage.
+ * @param {string} moduleName - The name of the module.
+ * @param {string} counterName - The name of the counter.
+ * @param {number} amount - The amount to increment the counter by.
+ * @private
+ */
+function incrementHealthCounter(moduleName, counterName, amount) {
+    addHealthCounts(pendingHealthCounts, { [moduleName]: { [counterName]: amount } });
+    if(canPersistLogs()) {
+        if(healthCountersTimeoutId === null) {
+            healthCountersTimeoutId = setTimeout(persistHealthCounters, persistDelay);
+        }
+    }
+}
+
+/**
+ * Report a module error.
+ * @param {string} moduleName - The name of the module.
+ * @param {Error|string} error - The error.
+ * @param {Object} [options] - Options for the report.
+ * @param {string} [options.counter="errors"] - The health counter to increment.
+ * @param {Object} [options.fields={}] - Structured fields for the error.
+ * @private
+ */
+function reportModuleError(moduleName, error, {
+    counter = "errors",
+    fields = { }
+} = { }) {
+    const message = (error instanceof Error) ? error.message : `${error}`;
+    const stack = ((error instanceof Error) && (typeof error.stack === "string")) ? error.stack : null;
+    if(isContentScript()) {
+        forwardToBackground({ module: moduleName, counter, amount: 1, error: { message, stack, fields } });
+        return;
+    }
+    handleModuleError({ module: moduleName, counter, message, stack, fields, time: Date.now(), contentScript: false });
+}
+
+/**
+ * Log, count, and dispatch a module error.
+ * @param {ModuleErrorDetails} details - Details about the module error.
+ * @private
+ */
+function handleModuleError(details) {
+    log(details.module, "error", details.message, { counter: details.counter, stack: details.stack, ...details.fields });
+    incrementHealthCounter(details.module, details.counter, 1);
+    onModuleError.notifyListeners(details);
+}
+
+/**
+ * Add health counts to health counters.
+ * @param {Object<string, Object<string, number>>} healthCounters - The health counters
+ * to add to, which are modified.
+ * @param {Object<string, Object<string, number>>} healthCounts - The health counts to add.
+ * @private
+ */
+function addHealthCounts(healthCounters, healthCounts) {
+    for(const [moduleName, moduleCounts] of Object.entries(healthCounts)) {
+        if(!(moduleName in healthCounters)) {
+            healthCounters[moduleName] = { };
+        }
+        for(const [counterName, count] of Object.entries(moduleCounts)) {
+            healthCounters[moduleName][counterName] = (healthCounters[moduleName][counterName] || 0) + count;
+        }
+    }
+}
+
+/**
+ * Load the persisted health counters from extension local storage.
+ * @returns {Promise<Object<string, Object<string, number>>>} The persisted health counters.
+ * @private
+ */
+async function loadHealthCounters() {
+    const storageResult = await browser.storage.local.get(healthCountersStorageKey);
+    const storedCounters = storageResult[healthCountersStorageKey];
+    const healthCounters = { };
+    if((typeof storedCounters === "object") && (storedCounters !== null)) {
+        addHealthCounts(healthCounters, storedCounters);
+    }
+    return healthCounters;
+}
+
+/**
+ * Queue a write of the health counters in extension local storage, after any pending
+ * writes in this context.
+ * @param {Function} updateHealthCounters - A function that receives the persisted
+ * health counters and returns the health counters to write.
+ * @returns {Promise} A Promise that resolves once the counters have been written.
+ * @private
+ */
+function writeHealthCounters(updateHealthCounters) {
+    healthCountersWritePromise = healthCountersWritePromise.catch(() => { }).then(async () => {
+        await browser.storage.local.set({
+            [healthCountersStorageKey]: updateHealthCounters(await loadHealthCounters())
+        });
+    });
+    return healthCountersWritePromise;
+}
+
+/**
+ * Add the pending health counts in this context to the persisted health counters.
+ * Counts are added to the counters in extension local storage when written, rather
+ * than overwriting them, so that counts from other extension pages (e.g., a popup)
+ * are not lost.
+ * @returns {Promise} A Promise that resolves once the counters have been written.
+ * @private
+ */
+async function persistHealthCounters() {
+    if(healthCountersTimeoutId !== null) {
+        clearTimeout(healthCountersTimeoutId);
+        healthCountersTimeoutId = null;
+    }
+    const healthCounts = pendingHealthCounts;
+    pendingHealthCounts = { };
+    try {
+        await writeHealthCounters(healthCounters => {
+            addHealthCounts(healthCounters, healthCounts);
+            return healthCounters;
+        });
+    }
+    catch(error) {
+        // Keep the counts for the next write
+        addHealthCounts(pendingHealthCounts, healthCounts);
+        console.debug(`webScience.debugging: Unable to persist health counters: ${error}`);
+    }
+}
+
+/**
+ * Get the health counters, including persisted counts from earlier browser sessions.
+ * @param {Object} [options] - Options for getting the counters.
+ * @param {string} [options.module] - Only get the counters for this module.
+ * @returns {Promise<Object<string, Object<string, number>>|Object<string, number>>} The
+ * health counters, where keys are module names and values are objects that map counter
+ * names to counts. If a module is specified, only that module's counters are returned.
+ */
+export async function getHealthCounters({
+    module: moduleName = null
+} = { }) {
+    const counters = { };
+    if(canPersistLogs()) {
+        try {
+            await healthCountersWritePromise.catch(() => { });
+            addHealthCounts(counters, await loadHealthCounters());
+        }
+        catch(error) {
+            console.debug(`webScience.debugging: Unable to load persisted health counters: ${error}`);
+        }
+    }
+    addHealthCounts(counters, pendingHealthCounts);
+    if(moduleName !== null) {
+        return (moduleName in counters) ? counters[moduleName] : { };
+    }
+    return counters;
+}
+
+/**
+ * Reset the health counters, including persisted counts.
+ * @returns {Promise} A Promise that resolves once the counters have been reset.
+ */
+export async function resetHealthCounters() {
+    if(healthCountersTimeoutId !== null) {
+        clearTimeout(healthCountersTimeoutId);
+        healthCountersTimeoutId = null;
+    }
+    pendingHealthCounts = { };
+    if(canPersistLogs()) {
+        try {
+            await writeHealthCounters(() => ({ }));
+        }
+        catch(error) {
+            console.debug(`webScience.debugging: Unable to reset persisted health counters: ${error}`);
+        }
+    }
+}
+
+/**
+ * Whether this context is the background script. Other extension pages (e.g., a
+ * popup) should not receive forwarded module errors, since the errors would be
+ * counted more than once.
+ * @returns {boolean} Whether this context is the background script.
+ * @private
+ */
+function isBackgroundScript() {
+    try {
+        return (typeof window === "object") && (typeof browser === "object") && (browser !== null) &&
+            (typeof browser.extension === "object") && (typeof browser.extension.getBackgroundPage === "function") &&
+            (browser.extension.getBackgroundPage() === window);
+    }
+    catch(error) {
+        return false;
+    }
+}
+
+// In the background script, receive module errors and health counts forwarded from
+// content scripts
+if(isBackgroundScript()) {
+    browser.runtime.onMessage.addListener((message) => {
+        if((typeof message !== "object") || (message === null) || (message.type !== moduleErrorMessageType) ||
+            (typeof message.module !== "string") || (typeof message.counter !== "string")) {
+            return;
+        }
+        if((typeof message.error === "object") && (message.error !== null)) {
+            handleModuleError({
+                module: message.module,
+                counter: message.counter,
+                message: `${message.error.message}`,
+                stack: (typeof message.error.stack === "string") ? message.error.stack : null,
+                fields: ((typeof message.error.fields === "object") && (message.error.fields !== null)) ? message.error.fields : { },
+                time: Date.now(),
+                contentScript: true
+            });
+        }
+        else if(typeof message.amount === "number") {
+            incrementHealthCounter(message.module, message.counter, message.amount);
+        }
     });
 }
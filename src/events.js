@@ -2,6 +2,46 @@
  * This module provides functionality for constructing events similar to
  * WebExtensions `events.Event` objects.
  *
+ * # Replay Buffers
+ * An event can keep a replay buffer of its most recent notifications, so that
+ * a listener added late (e.g., after an asynchronous study setup step) is
+ * immediately notified of what it missed. Use the `replayBufferSize` option
+ * for `createEvent` to enable a replay buffer.
+ *
+ * # Middleware
+ * Middleware functions can filter, enrich, or redact the arguments for an
+ * event notification before any listener sees them. Middleware can be added
+ * to a single event with `Event.addMiddleware`, or to every event with the
+ * module's `addMiddleware` function (optionally limited to events with
+ * particular names). Middleware runs once per notification, before the
+ * notification is added to the replay buffer, so replayed notifications have
+ * already been processed. The replay buffer stores shallow copies of the
+ * processed arguments, and each late listener receives its own shallow copy,
+ * so a listener that modifies top-level properties of its arguments does not
+ * change what is replayed (nested objects are still shared). If middleware throws an error, the notification is
+ * dropped, so that a failing redaction step cannot leak data. The
+ * `removeUrlQueries` middleware is an example that removes query strings and
+ * fragments from URL fields.
+ *
+ * # Listener Errors and Asynchronous Listeners
+ * An error in one listener does not prevent other listeners from being
+ * notified. Errors in listeners, including rejected Promises returned by
+ * listeners, are reported with the debugging module's `reportError` (so they
+ * fire `debugging.onModuleError` and increment the "listenerErrors" health
+ * counter for the events module). `Event.notifyListeners` does not wait for
+ * asynchronous listeners. `Event.notifyListenersAsync` waits for every listener
+ * to settle, with a per-listener timeout, so that a measurement pipeline can
+ * know when downstream work (e.g., storage writes) has finished.
+ *
+ * # Promises and Async Iterators
+ * `Event.once` returns a Promise for the next notification that matches a
+ * predicate, and `Event.stream` returns an async iterator over notifications.
+ * Both add a listener with the provided listener options and remove it
+ * automatically (for a stream, when iteration ends, including with `break`).
+ * Both produce the first argument passed to listeners, which for WebScience
+ * events is the details object. Because events cannot be slowed down, a
+ * stream applies backpressure with a bounded buffer and an overflow policy.
+ *
  * @module webScience.events
  */
 
@@ -18,6 +58,151 @@ const debugLog = debugging.getDebuggingLog("events");
  * @callback callbackWithoutParameters
  */
 
+/**
+ * A function that processes the arguments for an event notification before listeners
+ * are notified.
+ * @callback middleware
+ * @param {Array} listenerArguments - The arguments that would be passed to listener
+ * functions.
+ * @param {Object} details - Details about the notification.
+ * @param {string|null} details.eventName - The name of the event.
+ * @returns {Array|null|undefined} The arguments to pass to listener functions instead,
+ * null to drop the notification, or undefined to leave the arguments unchanged.
+ */
+
+/**
+ * Middleware that applies to every event, where keys are middleware functions and
+ * values are Sets of event names that the middleware applies to (or null for all
+ * events).
+ * @type {Map<middleware, Set<string>|null>}
+ * @private
+ */
+const globalMiddleware = new Map();
+
+/**
+ * Add middleware that applies to every event created with `createEvent`.
+ * @param {middleware} middleware - The middleware function.
+ * @param {Object} [options] - Options for the middleware.
+ * @param {string[]} [options.eventNames] - Only apply the middleware to events with
+ * these names. If not specified, the middleware applies to all events.
+ */
+export function addMiddleware(middleware, {
+    eventNames = null
+} = { }) {
+    globalMiddleware.set(middleware, Array.isArray(eventNames) ? new Set(eventNames) : null);
+}
+
+/**
+ * Remove middleware that was added with `addMiddleware`.
+ * @param {middleware} middleware - The middleware function.
+ */
+export function removeMiddleware(middleware) {
+    globalMiddleware.delete(middleware);
+}
+
+/**
+ * Apply a middleware function to the arguments for an event notification.
+ * @param {middleware} middleware - The middleware function.
+ * @param {Array} listenerArguments - The arguments for the notification.
+ * @param {string|null} eventName - The name of the event.
+ * @returns {Array|null} The processed arguments, or null to drop the notification.
+ * @private
+ */
+function runMiddleware(middleware, listenerArguments, eventName) {
+    const result = middleware(listenerArguments, { eventName });
+    if(result === undefined) {
+        return listenerArguments;
+    }
+    if((result === null) || Array.isArray(result)) {
+        return result;
+    }
+    throw new Error("Middleware must return an array of listener arguments, null, or undefined.");
+}
+
+/**
+ * A RegExp that matches property names for URL fields (e.g., `url`, `referrer`,
+ * `linkUrls`, or `sourceURL`).
+ * @constant {RegExp}
+ * @private
+ */
+const urlFieldNameRegExp = /(^url$|^referrer$|Url$|URL$|Urls$|URLs$)/;
+
+/**
+ * Remove the query string and fragment from a URL, if the value is a parseable URL.
+ * @param {*} value - The value.
+ * @returns {*} The URL without a query string or fragment, or the value if it is not
+ * a parseable URL.
+ * @private
+ */
+function removeUrlQuery(value) {
+    if(typeof value !== "string") {
+        return value;
+    }
+    try {
+        const urlObj = new URL(value);
+        urlObj.search = "";
+        urlObj.hash = "";
+        return urlObj.href;
+    }
+    catch(error) {
+        return value;
+    }
+}
+
+/**
+ * Remove query strings and fragments from URL fields in a value, recursively for
+ * arrays and objects.
+ * @param {*} value - The value.
+ * @param {boolean} isUrlField - Whether the value is for a URL field.
+ * @returns {*} The value with query strings and fragments removed from URL fields.
+ * @private
+ */
+function removeUrlQueriesFromValue(value, isUrlField) {
+    if(Array.isArray(value)) {
+        return value.map(element => removeUrlQueriesFromValue(element, isUrlField));
+    }
+    if((typeof value === "object") && (value !== null) && (Object.getPrototypeOf(value) === Object.prototype)) {
+        const processedValue = { };
+        for(const key of Object.keys(value)) {
+            processedValue[key] = removeUrlQueriesFromValue(value[key], urlFieldNameRegExp.test(key));
+        }
+        return processedValue;
+    }
+    return isUrlField ? removeUrlQuery(value) : value;
+}
+
+/**
+ * Middleware that removes query strings and fragments from URL fields in event
+ * notifications. A URL field is an object property named `url` or `referrer`, or with
+ * a name ending in `Url`, `URL`, `Urls`, or `URLs` (e.g., `linkUrls`).
+ * @param {Array} listenerArguments - The arguments for the notification.
+ * @returns {Array} The arguments with query strings and fragments removed.
+ * @example
+ * webScience.events.addMiddleware(webScience.events.removeUrlQueries);
+ */
+export function removeUrlQueries(listenerArguments) {
+    return listenerArguments.map(listenerArgument => removeUrlQueriesFromValue(listenerArgument, false));
+}
+
+/**
+ * Make a shallow copy of the arguments for an event notification, copying each
+ * argument that is an array or a plain object.
+ * @param {Array} listenerArguments - The arguments for the notification.
+ * @returns {Array} The copied arguments.
+ * @private
+ */
+function copyListenerArguments(listenerArguments) {
+    return listenerArguments.map(value => {
+        if(Array.isArray(value)) {
+            return value.slice();
+        }
+        if((typeof value === "object") && (value !== null) && (Object.getPrototypeOf(value) === Object.prototype)) {
+            return Object.assign({ }, value);
+        }
+        return value;
+    });
+}
+
 /**
  * A class that provides an event API similar to WebExtensions `events.Event` objects.
  * Use the `createEvent` function to create an Event object.
@@ -35,24 +220,31 @@ class Event {
      * that is called when a listener function is removed.
      * @param {notifyListenersCallback} [options.notifyListenersCallback] - A function
      * that is called before a listener is notified and can filter the notification.
+     * @param {number} [options.replayBufferSize] - The number of recent notifications
+     * to replay to new listeners.
      * @private
      */
     constructor({
         name = null,
         addListenerCallback = null,
         removeListenerCallback = null,
-        notifyListenersCallback = null
+        notifyListenersCallback = null,
+        replayBufferSize = 0
     } = {
         name: null,
         addListenerCallback: null,
         removeListenerCallback: null,
-        notifyListenersCallback: null
+        notifyListenersCallback: null,
+        replayBufferSize: 0
     }) {
         this.name = name;
         this.addListenerCallback = addListenerCallback;
         this.removeListenerCallback = removeListenerCallback;
         this.notifyListenersCallback = notifyListenersCallback;
         this.listeners = new Map();
+        this.replayBufferSize = replayBufferSize;
+        this.replayBuffer = [ ];
+        this.middleware = new Set();
     }
 
     /**
@@ -65,7 +257,8 @@ class Event {
     /**
      * A function that adds an event listener, with optional parameters. If the
      * listener has previously been added for the event, the listener's options
-     * (if any) will be updated.
+     * (if any) will be updated. If the event has a replay buffer and the listener
+     * is new, the listener is immediately notified of the buffered notifications.
      * @param {EventCallbackFunction} listener - The function to call when the event fires.
      * @param {EventOptions} options - Options for when the listener should be called.
      * The supported option(s) depend on the event type.
@@ -74,11 +267,21 @@ class Event {
         if(this.addListenerCallback !== null) {
             this.addListenerCallback(listener, options);
         }
+        const isNewListener = !this.listeners.has(listener);
         this.listeners.set(listener, options);
         // If the event has a name, annotate the listener with the name
         if(typeof this.name === "string") {
             listener.webScienceEventName = this.name;
         }
+        if(isNewListener) {
+            for(const listenerArguments of this.replayBuffer) {
+                // Stop replaying if the listener was removed during replay
+                if(!this.listeners.has(listener)) {
+                    break;
+                }
+                this.notifyListener(listener, copyListenerArguments(listenerArguments), options);
+            }
+        }
     }
 
     /**
@@ -127,20 +330,447 @@ class Event {
      */
 
     /**
-     * Notify the listener functions for the event.
+     * Add middleware that applies to notifications for this event. Middleware for the
+     * event runs after middleware added with the module's `addMiddleware` function.
+     * @param {middleware} middleware - The middleware function.
+     */
+    addMiddleware(middleware) {
+        this.middleware.add(middleware);
+    }
+
+    /**
+     * Remove middleware that was added with `addMiddleware`.
+     * @param {middleware} middleware - The middleware function.
+     */
+    removeMiddleware(middleware) {
+        this.middleware.delete(middleware);
+    }
+
+    /**
+     * Discard the notifications in the replay buffer.
+     */
+    clearReplayBuffer() {
+        this.replayBuffer = [ ];
+    }
+
+    /**
+     * Run global and event middleware on the arguments for a notification.
+     * @param {Array} listenerArguments - The arguments for the notification.
+     * @returns {Array|null} The processed arguments, or null to drop the notification.
+     * @private
+     */
+    applyMiddleware(listenerArguments) {
+        try {
+            for(const [middleware, eventNames] of globalMiddleware) {
+                if((eventNames === null) || eventNames.has(this.name)) {
+                    listenerArguments = runMiddleware(middleware, listenerArguments, this.name);
+                    if(listenerArguments === null) {
+                        return null;
+                    }
+                }
+            }
+            for(const middleware of this.middleware) {
+                listenerArguments = runMiddleware(middleware, listenerArguments, this.name);
+                if(listenerArguments === null) {
+                    return null;
+                }
+            }
+            return listenerArguments;
+        }
+        catch(error) {
+            debugLog.reportError(error, {
+                counter: "middlewareErrors",
+                fields: { eventName: this.name }
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Report an error in a listener function.
+     * @param {*} error - The error.
+     * @param {string} [counter="listenerErrors"] - The health counter to increment.
+     * @private
+     */
+    reportListenerError(error, counter = "listenerErrors") {
+        debugLog.reportError(error, {
+            counter,
+            fields: { eventName: this.name }
+        });
+    }
+
+    /**
+     * Prepare a notification, by running middleware and adding the notification to the
+     * replay buffer.
+     * @param {Array} listenerArguments - The arguments for the notification.
+     * @returns {Array|null} The arguments to pass to listener functions, or null if the
+     * notification was dropped.
+     * @private
+     */
+    prepareNotification(listenerArguments) {
+        if((globalMiddleware.size > 0) || (this.middleware.size > 0)) {
+            listenerArguments = this.applyMiddleware(listenerArguments);
+            if(listenerArguments === null) {
+                return null;
+            }
+        }
+        if(this.replayBufferSize > 0) {
+            this.replayBuffer.push(copyListenerArguments(listenerArguments));
+            if(this.replayBuffer.length > this.replayBufferSize) {
+                this.replayBuffer.shift();
+            }
+        }
+        return listenerArguments;
+    }
+
+    /**
+     * Notify a listener function for the event.
+     * @param {EventCallbackFunction} listener - The listener function.
+     * @param {Array} listenerArguments - The arguments for the notification.
+     * @param {EventOptions} options - The options that the listener was added with.
+     * @private
+     */
+    notifyListener(listener, listenerArguments, options) {
+        try {
+            if((this.notifyListenersCallback === null) || this.notifyListenersCallback(listener, listenerArguments, options)) {
+                const returnValue = listener.apply(null, listenerArguments);
+                // If the listener is asynchronous, report a rejection rather than leaving
+                // it unhandled
+                if((typeof returnValue === "object") && (returnValue !== null) && (typeof returnValue.then === "function")) {
+                    returnValue.then(() => { }, error => {
+                        this.reportListenerError(error);
+                    });
+                }
+            }
+        }
+        catch(error) {
+            this.reportListenerError(error);
+        }
+    }
+
+    /**
+     * Notify the listener functions for the event. Listener functions are not awaited.
      * @param {Array} [listenerArguments=[]] - The arguments that will be passed to listener
      * functions.
      */
     notifyListeners(listenerArguments = []) {
+        listenerArguments = this.prepareNotification(listenerArguments);
+        if(listenerArguments === null) {
+            return;
+        }
+        this.listeners.forEach((options, listener) => {
+            this.notifyListener(listener, listenerArguments, options);
+        });
+    }
+
+    /**
+     * The outcome of notifying a listener function with `notifyListenersAsync`.
+     * @typedef {Object} ListenerResult
+     * @property {string} status - "fulfilled" if the listener completed, "rejected" if
+     * the listener threw an error or returned a rejected Promise, or "timedOut" if the
+     * listener did not complete before the timeout.
+     * @property {*} [value] - The value returned by the listener, if the status is
+     * "fulfilled".
+     * @property {*} [error] - The error, if the status is "rejected".
+     */
+
+    /**
+     * Notify the listener functions for the event and wait for them to complete,
+     * including any Promises that they return. Errors and timeouts are reported, and
+     * one listener's error or timeout does not affect other listeners.
+     * @param {Array} [listenerArguments=[]] - The arguments that will be passed to listener
+     * functions.
+     * @param {Object} [options] - Options for the notification.
+     * @param {number} [options.timeout=30000] - The maximum time (in milliseconds) to wait
+     * for each listener. Use Infinity for no timeout.
+     * @returns {Promise<ListenerResult[]>} A Promise that resolves, once every notified
+     * listener has completed or timed out, to the outcomes for the listeners in the order
+     * they were notified. The Promise never rejects.
+     */
+    async notifyListenersAsync(listenerArguments = [], {
+        timeout = 30000
+    } = { }) {
+        listenerArguments = this.prepareNotification(listenerArguments);
+        if(listenerArguments === null) {
+            return [ ];
+        }
+        const listenerResults = [ ];
         this.listeners.forEach((options, listener) => {
             try {
-                if((this.notifyListenersCallback === null) || this.notifyListenersCallback(listener, listenerArguments, options))
-                    listener.apply(null, listenerArguments);
+                if((this.notifyListenersCallback !== null) && !this.notifyListenersCallback(listener, listenerArguments, options)) {
+                    return;
+                }
             }
             catch(error) {
-                debugLog(`Error in listener notification: ${error}`);
+                this.reportListenerError(error);
+                listenerResults.push(Promise.resolve({ status: "rejected", error }));
+                return;
             }
+            listenerResults.push(this.awaitListener(listener, listenerArguments, timeout));
+        });
+        return Promise.all(listenerResults);
+    }
+
+    /**
+     * Call a listener function and wait for it to complete, with a timeout.
+     * @param {EventCallbackFunction} listener - The listener function.
+     * @param {Array} listenerArguments - The arguments for the notification.
+     * @param {number} timeout - The maximum time (in milliseconds) to wait for the listener.
+     * @returns {Promise<ListenerResult>} The outcome for the listener.
+     * @private
+     */
+    async awaitListener(listener, listenerArguments, timeout) {
+        const listenerPromise = (async () => listener.apply(null, listenerArguments))().then(
+            value => ({ status: "fulfilled", value }),
+            error => {
+                this.reportListenerError(error);
+                return { status: "rejected", error };
+            });
+        if(timeout === Infinity) {
+            return listenerPromise;
+        }
+        let timeoutId = null;
+        const timeoutPromise = new Promise(resolve => {
+            timeoutId = setTimeout(() => {
+                resolve({ status: "timedOut" });
+            }, timeout);
         });
+        const listenerResult = await Promise.race([ listenerPromise, timeoutPromise ]);
+        clearTimeout(timeoutId);
+        if(listenerResult.status === "timedOut") {
+            this.reportListenerError(new Error(`Listener did not complete within ${timeout} ms.`), "listenerTimeouts");
+        }
+        return listenerResult;
+    }
+
+    /**
+     * Wait for the next notification that matches a predicate. The listener that this
+     * function adds is removed once the Promise settles.
+     * @param {EventOptions} [options] - Options for the listener, as for `addListener`.
+     * @param {Function} [predicate] - A function that is called with the listener
+     * arguments and returns whether the notification matches. If not specified, any
+     * notification matches.
+     * @param {Object} [onceOptions] - Options for waiting.
+     * @param {number} [onceOptions.timeout=Infinity] - The maximum time (in milliseconds)
+     * to wait. If the timeout elapses, the Promise rejects with an error named
+     * "TimeoutError".
+     * @returns {Promise<*>} A Promise that resolves to the first listener argument of the
+     * matching notification, or rejects if the predicate throws an error or the timeout
+     * elapses.
+     * @example
+     * const pageVisitStopDetails = await webScience.pageManager.onPageVisitStop.once(undefined,
+     *     ({ pageId }) => pageId === targetPageId);
+     */
+    once(options, predicate = null, {
+        timeout = Infinity
+    } = { }) {
+        return new Promise((resolve, reject) => {
+            let timeoutId = null;
+            let settled = false;
+            const onceListener = (...listenerArguments) => {
+                let matches = true;
+                try {
+                    matches = (predicate === null) || predicate(...listenerArguments);
+                }
+                catch(error) {
+                    settle();
+                    reject(error);
+                    return;
+                }
+                if(matches) {
+                    settle();
+                    resolve(listenerArguments[0]);
+                }
+            };
+            const settle = () => {
+                settled = true;
+                if(timeoutId !== null) {
+                    clearTimeout(timeoutId);
+                }
+                if(this.hasListener(onceListener)) {
+                    this.removeListener(onceListener);
+                }
+            };
+            // Add the listener before starting the timeout, so that if adding the
+            // listener throws an error, there is no pending timeout. The listener
+            // may also settle immediately with a replayed notification.
+            this.addListener(onceListener, options);
+            if((timeout !== Infinity) && !settled) {
+                timeoutId = setTimeout(() => {
+                    settle();
+                    const timeoutError = new Error(`No matching notification within ${timeout} ms.`);
+                    timeoutError.name = "TimeoutError";
+                    reject(timeoutError);
+                }, timeout);
+            }
+        });
+    }
+
+    /**
+     * Create an async iterator over notifications for the event. The iterator adds a
+     * listener immediately, and removes the listener when iteration ends (e.g., with
+     * `break` in a `for await...of` loop).
+     * @param {EventOptions} [options] - Options for the listener, as for `addListener`.
+     * @param {Object} [streamOptions] - Options for the stream.
+     * @param {number} [streamOptions.bufferSize=100] - The maximum number of notifications
+     * to buffer while the consumer is not ready for them.
+     * @param {string} [streamOptions.overflow="dropOldest"] - What to do when a notification
+     * arrives and the buffer is full: "dropOldest" discards the oldest buffered notification,
+     * "dropNewest" discards the new notification, and "error" ends the stream with an error
+     * named "BufferOverflowError".
+     * @returns {EventStream} An async iterator over the first listener argument of each
+     * notification.
+     * @example
+     * for await (const linkExposureDetails of webScience.linkExposure.onLinkExposureUpdate.stream({
+     *     linkMatchPatterns, pageMatchPatterns })) {
+     *     // Process the details, then break when done
+     * }
+     */
+    stream(options, {
+        bufferSize = 100,
+        overflow = "dropOldest"
+    } = { }) {
+        if(!Number.isInteger(bufferSize) || (bufferSize < 1)) {
+            throw new Error("The stream buffer size must be a positive integer.");
+        }
+        if(![ "dropOldest", "dropNewest", "error" ].includes(overflow)) {
+            throw new Error(`Unsupported stream overflow policy: ${overflow}`);
+        }
+        return new EventStream(this, options, bufferSize, overflow);
+    }
+}
+
+/**
+ * An async iterator over notifications for an event. Use `Event.stream` to create an
+ * EventStream.
+ * @private
+ */
+class EventStream {
+    /**
+     * Create an event stream and add its listener to the event.
+     * @param {Event} event - The event.
+     * @param {*} options - Options for the listener.
+     * @param {number} bufferSize - The maximum number of buffered notifications.
+     * @param {string} overflow - The overflow policy.
+     * @private
+     */
+    constructor(event, options, bufferSize, overflow) {
+        this.event = event;
+        this.bufferSize = bufferSize;
+        this.overflow = overflow;
+        this.buffer = [ ];
+        this.pendingNext = null;
+        this.error = null;
+        this.done = false;
+        /**
+         * The number of notifications discarded because the buffer was full.
+         * @type {number}
+         */
+        this.droppedCount = 0;
+        this.listener = (...listenerArguments) => {
+            this.push(listenerArguments[0]);
+        };
+        event.addListener(this.listener, options);
+    }
+
+    /**
+     * Handle a notification from the event.
+     * @param {*} value - The first listener argument of the notification.
+     * @private
+     */
+    push(value) {
+        if(this.done) {
+            return;
+        }
+        if(this.pendingNext !== null) {
+            const { resolve } = this.pendingNext;
+            this.pendingNext = null;
+            resolve({ value, done: false });
+            return;
+        }
+        if(this.buffer.length >= this.bufferSize) {
+            this.droppedCount++;
+            if(this.overflow === "dropNewest") {
+                return;
+            }
+            if(this.overflow === "error") {
+                const overflowError = new Error(`Stream buffer for event ${this.event.name} overflowed.`);
+                overflowError.name = "BufferOverflowError";
+                this.error = overflowError;
+                this.end();
+                return;
+            }
+            this.buffer.shift();
+        }
+        this.buffer.push(value);
+    }
+
+    /**
+     * Remove the stream's listener and settle any pending `next` call.
+     * @private
+     */
+    end() {
+        if(this.done) {
+            return;
+        }
+        this.done = true;
+        if(this.event.hasListener(this.listener)) {
+            this.event.removeListener(this.listener);
+        }
+        if(this.pendingNext !== null) {
+            const { resolve, reject } = this.pendingNext;
+            this.pendingNext = null;
+            if(this.error !== null) {
+                reject(this.error);
+            }
+            else {
+                resolve({ value: undefined, done: true });
+            }
+        }
+    }
+
+    /**
+     * Get the next notification, waiting if none is buffered.
+     * @returns {Promise<{value: *, done: boolean}>} The next notification.
+     */
+    next() {
+        if(this.pendingNext !== null) {
+            return Promise.reject(new Error("Cannot call next on an event stream while a previous call is pending."));
+        }
+        if(this.buffer.length > 0) {
+            return Promise.resolve({ value: this.buffer.shift(), done: false });
+        }
+        if(this.error !== null) {
+            const error = this.error;
+            this.error = null;
+            return Promise.reject(error);
+        }
+        if(this.done) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => {
+            this.pendingNext = { resolve, reject };
+        });
+    }
+
+    /**
+     * End the stream, removing its listener and discarding buffered notifications.
+     * Called automatically when a `for await...of` loop exits early.
+     * @returns {Promise<{value: undefined, done: boolean}>} A completed iterator result.
+     */
+    return() {
+        this.buffer = [ ];
+        this.error = null;
+        this.end();
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    /**
+     * Get the async iterator for the stream, which is the stream itself.
+     * @returns {EventStream} The stream.
+     */
+    [Symbol.asyncIterator]() {
+        return this;
     }
 }
 
@@ -182,6 +812,8 @@ class EventSingleton extends Event {
  * that is called before a listener is notified and can filter the notification.
  * @param {boolean} [options.singleton = false] - Whether to allow only one listener
  * for the event.
+ * @param {number} [options.replayBufferSize = 0] - The number of recent notifications
+ * to replay to new listeners. If 0, notifications are not buffered.
  * @returns {Event} - The created Event object.
  */
  export function createEvent({
@@ -189,26 +821,33 @@ class EventSingleton extends Event {
     addListenerCallback = null,
     removeListenerCallback = null,
     notifyListenersCallback = null,
-    singleton = false
+    singleton = false,
+    replayBufferSize = 0
 } = {
     name: null,
     addListenerCallback: null,
     removeListenerCallback: null,
     notifyListenersCallback: null,
-    singleton: false
+    singleton: false,
+    replayBufferSize: 0
 }) {
+    if(!Number.isInteger(replayBufferSize) || (replayBufferSize < 0)) {
+        throw new Error("The replay buffer size must be a non-negative integer.");
+    }
     if(singleton) {
         return new EventSingleton({
             name,
             addListenerCallback,
             removeListenerCallback,
-            notifyListenersCallback
+            notifyListenersCallback,
+            replayBufferSize
         });
     }
     return new Event({
         name,
         addListenerCallback,
         removeListenerCallback,
-        notifyListenersCallback
+        notifyListenersCallback,
+        replayBufferSize
     });
 }
\ No newline at end of file
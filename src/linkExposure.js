@@ -9,6 +9,7 @@
  * @module webScience.linkExposure
  */
 
+import * as debugging from "./debugging.js";
 import * as events from "./events.js";
 import * as linkResolution from "./linkResolution.js";
 import * as matching from "./matching.js";
@@ -18,6 +19,12 @@ import * as inline from "./inline.js";
 import * as permissions from "./permissions.js";
 import linkExposureContentScript from "./content-scripts/linkExposure.content.js";
 
+/**
+ * @constant {debugging.debuggingLogger}
+ * @private
+ */
+const debugLog = debugging.getDebuggingLog("linkExposure");
+
 permissions.check({
     module: "webScience.linkExposure",
     requiredPermissions: [ "storage" ],
@@ -158,7 +165,10 @@ async function addUpdateListener(listener, { linkMatchPatterns, pageMatchPattern
                 pageId: "string",
                 url: "string",
                 privateWindow: "boolean",
-                linkUrls: "object"
+                linkUrls: {
+                    type: "array",
+                    items: "string"
+                }
             }
         });
         addedMessageListener = true;
@@ -175,6 +185,9 @@ async function addUpdateListener(listener, { linkMatchPatterns, pageMatchPattern
             code: inline.dataUrlToString(linkExposureContentScript)
         }],
         runAt: "document_idle"
+    }).catch(error => {
+        debugLog.reportError(error, { counter: "contentScriptRegistrationFailures" });
+        throw error;
     });
 
     // Store the listener information in a record
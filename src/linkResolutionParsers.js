@@ -0,0 +1,138 @@
+/**
+ * This module provides functions for parsing AMP, Facebook link shim, and URL
+ * shortener URLs, and for extracting the public suffix + 1 from a URL. The
+ * module does not depend on WebExtensions APIs, so it is safe to use in Web
+ * Workers. The `linkResolution` module re-exports these functions.
+ * @module webScience.linkResolutionParsers
+ */
+import * as matching from "./matching.js";
+import { urlShortenerMatchPatterns } from "./data/urlShorteners.js";
+import { ampCacheDomains, ampViewerDomainsAndPaths } from "./data/ampCachesAndViewers.js";
+import { parse as tldtsParse } from "tldts";
+
+// AMP caches and viewers
+
+/**
+ * A RegExp that matches and parses AMP cache and viewer URLs. If there is a match, the RegExp provides several
+ * named capture groups.
+ *   * AMP Cache Matches
+ *     * `ampCacheSubdomain` - The subdomain, which should be either a reformatted version of the
+ *       URL domain or a hash of the domain. If there is no subdomain, this capture group
+ *       is `undefined`.
+ *     * `ampCacheDomain` - The domain for the AMP cache.
+ *     * `ampCacheContentType` - The content type, which is either `c` for an HTML document, `i` for
+ *        an image, or `r` for another resource.
+ *     * `ampCacheIsSecure` - Whether the AMP cache loads the resource via HTTPS. If it does, this
+ *        capture group has the value `s/`. If it doesn't, this capture group is `undefined`.
+ *     * `ampCacheUrl` - The underlying URL, without a specified scheme (i.e., `http://` or `https://`).
+ *  * AMP Viewer Matches
+ *     * `ampViewerDomainAndPath` - The domain and path for the AMP viewer.
+ *     * `ampViewerUrl` - The underlying URL, without a specified scheme (i.e., `http://` or `https://`).
+ * @see {@link https://developers.google.com/amp/cache/overview}
+ * @see {@link https://amp.dev/documentation/guides-and-tutorials/learn/amp-caches-and-cors/amp-cache-urls/}
+ * @constant {RegExp}
+ */
+export const ampRegExp = new RegExp(
+    // AMP cache regular expression
+    `(?:^https?://(?:(?<ampCacheSubdomain>[a-zA-Z0-9\\-\\.]*)\\.)?(?<ampCacheDomain>${ampCacheDomains.map(matching.escapeRegExpString).join("|")})/(?<ampCacheContentType>c|i|r)/(?<ampCacheIsSecure>s/)?(?<ampCacheUrl>.*)$)`
+    + `|` +
+    // AMP viewer regular expression
+    `(?:^https?://(?<ampViewerDomainAndPath>${ampViewerDomainsAndPaths.map(matching.escapeRegExpString).join("|")})/(?<ampViewerUrl>.*)$)`
+    , "i");
+
+/**
+ * A MatchPatternSet for AMP caches and viewers.
+ * @constant {matching.MatchPatternSet}
+ */
+export const ampMatchPatternSet = matching.createMatchPatternSet(
+    matching.domainsToMatchPatterns(ampCacheDomains, false).concat(
+        ampViewerDomainsAndPaths.map(ampViewerDomainAndPath => `*://${ampViewerDomainAndPath}*`)));
+
+/**
+ * Parse the underlying URL from an AMP cache or viewer URL, if the URL is an AMP cache or viewer URL.
+ * @param {string} url - A URL that may be an AMP cache or viewer URL.
+ * @returns {string} If the URL is an AMP cache or viewer URL, the parsed underlying URL. Otherwise, just the URL.
+ */
+ export function parseAmpUrl(url) {
+    if(!ampRegExp.test(url))
+        return url;
+    const parsedAmpUrl = ampRegExp.exec(url);
+    // Reconstruct AMP cache URLs
+    if(parsedAmpUrl.groups.ampCacheUrl !== undefined)
+        return "http" +
+            ((parsedAmpUrl.groups.ampCacheIsSecure === "s") ? "s" : "") +
+            "://" +
+            parsedAmpUrl.groups.ampCacheUrl;
+    // Reconstruct AMP viewer URLs, assuming the protocol is HTTPS
+    return "https://" + parsedAmpUrl.groups.ampViewerUrl;
+}
+
+// Facebook link shims
+
+/**
+ * A RegExp for matching URLs that have had Facebook's link shim applied.
+ * @constant {RegExp}
+ */
+export const facebookLinkShimRegExp = /^https?:\/\/l.facebook.com\/l\.php\?u=/;
+
+/**
+ * Parse a URL from Facebook's link shim, if the shim was applied to the URL.
+ * @param {string} url - A URL that may have Facebook's link shim applied.
+ * @returns {string} If Facebook's link shim was applied to the URL, the unshimmed URL. Otherwise, just the URL.
+ */
+export function parseFacebookLinkShim(url) {
+    if(!facebookLinkShimRegExp.test(url))
+        return url;
+
+    // Extract the original URL from the "u" parameter
+    const urlObject = new URL(url);
+    const uParamValue = urlObject.searchParams.get('u');
+    if(uParamValue === null)
+        return url;
+    return uParamValue;
+}
+
+/**
+ * Remove Facebook link decoration (the `fbclid` paramater) from a URL, if present.
+ * @param {string} url  - A URL that may have Facebook link decoration.
+ * @returns {string} The URL without Facebook link decoration.
+ */
+export function removeFacebookLinkDecoration(url) {
+    const urlObj = new URL(url);
+    urlObj.searchParams.delete("fbclid");
+    return urlObj.href;
+}
+
+// URL shorteners
+
+/**
+ * An array of match patterns for known URL shorteners, loaded from `urlShortenerMatchPatterns.js`.
+ * @constant {string[]}
+ */
+export { urlShortenerMatchPatterns };
+
+/**
+ * A RegExp for known URL shorteners, based on the match patterns loaded from `urlShortenerMatchPatterns.js`.
+ * @constant {RegExp}
+ */
+export const urlShortenerRegExp = matching.matchPatternsToRegExp(urlShortenerMatchPatterns);
+
+/**
+ * A matching.MatchPatternSet for known URL shorteners, based on the match patterns loaded from `urlShortenerMatchPatterns.js`.
+ * @constant {matching.MatchPatternSet}
+ */
+export const urlShortenerMatchPatternSet = matching.createMatchPatternSet(urlShortenerMatchPatterns);
+
+// Public suffix + 1
+
+/**
+ * Extracts the public suffix + 1 from a URL.
+ * @param {string} url - The URL.
+ * @returns {string} The public suffix + 1.
+ * @example <caption>Example usage of urlToPS1.</caption>
+ * // returns "mozilla.org"
+ * urlToPS1("https://www.mozilla.org/");
+ */
+export function urlToPS1(url) {
+    return tldtsParse((new URL(url)).hostname).domain;
+}
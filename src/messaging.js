@@ -13,9 +13,49 @@
  * 
  * # Schemas
  * A schema, for purposes of this module, must be an object. Each property in
- * the schema object is a property that is required in a corresponding message
- * object. Each value in the schema object is a string that must match the
- * `typeof` value for that property in a corresponding message.
+ * the schema object is a property in a corresponding message object, and each
+ * value in the schema object is a field schema for that property. By default,
+ * every property in the schema is required and messages can have properties
+ * that are not in the schema.
+ *
+ * A field schema is either a string or an object. A string must match the
+ * `typeof` value for the property (e.g., "string", "number", or "object"),
+ * or can be "integer", "array", or "null".
+ * An object can have the following properties, all of which are optional.
+ *   * `type` - "string", "number", "integer", "boolean", "object", "array",
+ *     or "null". An "object" must be a non-null, non-array object. If `type`
+ *     is not specified, `properties` or `additionalProperties` imply "object"
+ *     and `items` implies "array".
+ *   * `optional` - Whether the property can be missing (default false).
+ *   * `nullable` - Whether the value can be null (default false).
+ *   * `enum` - An array of permitted values.
+ *   * `format` - For strings, "url" (parseable with `URL`) or "uuid".
+ *   * `properties` - For objects, field schemas for nested properties.
+ *   * `additionalProperties` - For objects, whether properties that are not
+ *     in `properties` are permitted (default true), or a field schema that
+ *     the values of those properties must match.
+ *   * `items` - For arrays, a field schema that every item must match.
+ *   * `minItems` and `maxItems` - For arrays, bounds on the number of items.
+ *
+ * To set an extra-field policy for the message itself, use a field schema
+ * with `type: "object"` and `properties` as the schema. The message `type`
+ * property is always permitted.
+ *
+ * When a message fails validation, the detailed validation errors (with the
+ * path to each invalid property) are logged, and the module's health counters
+ * (see `debugging.getHealthCounters`) are incremented.
+ *
+ * @example
+ * webScience.messaging.registerSchema("myStudy.linkUpdate", {
+ *     type: "object",
+ *     additionalProperties: false,
+ *     properties: {
+ *         pageId: { type: "string", format: "uuid" },
+ *         linkUrls: { type: "array", items: { type: "string", format: "url" } },
+ *         source: { enum: [ "feed", "search" ], optional: true },
+ *         details: { type: "object", properties: { count: "integer" } }
+ *     }
+ * });
  * 
  * @module webScience.messaging
  */
@@ -75,13 +115,301 @@ function validateMessageObject(message) {
     return true;
 }
 
+/**
+ * The types supported in object field schemas.
+ * @constant {string[]}
+ * @private
+ */
+const fieldSchemaTypes = [ "string", "number", "integer", "boolean", "object", "array", "null" ];
+
+/**
+ * Functions that check string formats, where keys are format names.
+ * @constant {Object<string, function(string): boolean>}
+ * @private
+ */
+const stringFormatValidators = {
+    url: value => {
+        try {
+            new URL(value);
+            return true;
+        }
+        catch(error) {
+            return false;
+        }
+    },
+    uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+/**
+ * A validation error for a message.
+ * @typedef {Object} ValidationError
+ * @property {string} path - The path to the invalid property (e.g., "linkUrls[2]").
+ * @property {string} message - A description of the error.
+ */
+
+/**
+ * Whether a field schema is an object field schema, rather than a `typeof` string.
+ * @param {*} fieldSchema - The field schema.
+ * @returns {boolean} Whether the field schema is an object.
+ * @private
+ */
+function isObjectFieldSchema(fieldSchema) {
+    return (typeof fieldSchema === "object") && (fieldSchema !== null) && !Array.isArray(fieldSchema);
+}
+
+/**
+ * Convert a schema, as provided to `registerSchema`, to an object field schema for the
+ * message.
+ * @param {Object} messageSchema - The schema.
+ * @returns {Object} An object field schema for the message.
+ * @private
+ */
+function normalizeMessageSchema(messageSchema) {
+    if(isObjectFieldSchema(messageSchema) && (messageSchema.type === "object") && isObjectFieldSchema(messageSchema.properties)) {
+        return messageSchema;
+    }
+    return { type: "object", properties: messageSchema };
+}
+
+/**
+ * Get the type for an object field schema. If the field schema does not specify a
+ * type, `properties` or `additionalProperties` imply the type "object" and `items`
+ * implies the type "array".
+ * @param {Object} fieldSchema - The object field schema.
+ * @returns {string|null} The type, or null if the field schema does not specify or
+ * imply a type.
+ * @private
+ */
+function getFieldSchemaType(fieldSchema) {
+    if("type" in fieldSchema) {
+        return fieldSchema.type;
+    }
+    if(("properties" in fieldSchema) || ("additionalProperties" in fieldSchema)) {
+        return "object";
+    }
+    if("items" in fieldSchema) {
+        return "array";
+    }
+    return null;
+}
+
+/**
+ * Check that a field schema is well formed.
+ * @param {*} fieldSchema - The field schema.
+ * @param {string} path - The path to the field, for error messages.
+ * @throws {Error} Throws an error if the field schema is not well formed.
+ * @private
+ */
+function checkFieldSchema(fieldSchema, path) {
+    if(typeof fieldSchema === "string") {
+        if(![ "undefined", "bigint", "symbol", "function" ].concat(fieldSchemaTypes).includes(fieldSchema)) {
+            throw new Error(`Invalid field schema at ${path}: unsupported type ${fieldSchema}.`);
+        }
+        return;
+    }
+    if(!isObjectFieldSchema(fieldSchema)) {
+        throw new Error(`Invalid field schema at ${path}: must be a string or an object.`);
+    }
+    if(("type" in fieldSchema) && !fieldSchemaTypes.includes(fieldSchema.type)) {
+        throw new Error(`Invalid field schema at ${path}: unsupported type ${fieldSchema.type}.`);
+    }
+    const fieldSchemaType = getFieldSchemaType(fieldSchema);
+    if((("properties" in fieldSchema) || ("additionalProperties" in fieldSchema)) && (fieldSchemaType !== "object")) {
+        throw new Error(`Invalid field schema at ${path}: properties and additionalProperties require type object.`);
+    }
+    if(("items" in fieldSchema) && (fieldSchemaType !== "array")) {
+        throw new Error(`Invalid field schema at ${path}: items requires type array.`);
+    }
+    if(("format" in fieldSchema) && !(fieldSchema.format in stringFormatValidators)) {
+        throw new Error(`Invalid field schema at ${path}: unsupported format ${fieldSchema.format}.`);
+    }
+    if(("enum" in fieldSchema) && !Array.isArray(fieldSchema.enum)) {
+        throw new Error(`Invalid field schema at ${path}: enum must be an array.`);
+    }
+    if("properties" in fieldSchema) {
+        if(!isObjectFieldSchema(fieldSchema.properties)) {
+            throw new Error(`Invalid field schema at ${path}: properties must be an object.`);
+        }
+        for(const property in fieldSchema.properties) {
+            checkFieldSchema(fieldSchema.properties[property], joinPath(path, property));
+        }
+    }
+    if(("additionalProperties" in fieldSchema) && (typeof fieldSchema.additionalProperties !== "boolean")) {
+        checkFieldSchema(fieldSchema.additionalProperties, `${path}.*`);
+    }
+    if("items" in fieldSchema) {
+        checkFieldSchema(fieldSchema.items, `${path}[]`);
+    }
+}
+
+/**
+ * Join a property name to a path.
+ * @param {string} path - The path.
+ * @param {string} property - The property name.
+ * @returns {string} The joined path.
+ * @private
+ */
+function joinPath(path, property) {
+    return (path === "") ? property : `${path}.${property}`;
+}
+
+/**
+ * Get a description of a value's type for validation errors.
+ * @param {*} value - The value.
+ * @returns {string} The type description.
+ * @private
+ */
+function describeType(value) {
+    if(value === null) {
+        return "null";
+    }
+    if(Array.isArray(value)) {
+        return "array";
+    }
+    return typeof value;
+}
+
+/**
+ * Whether a value matches a type in an object field schema.
+ * @param {*} value - The value.
+ * @param {string} type - The type.
+ * @returns {boolean} Whether the value matches the type.
+ * @private
+ */
+function matchesType(value, type) {
+    switch(type) {
+        case "integer":
+            return Number.isInteger(value);
+        case "object":
+            return (typeof value === "object") && (value !== null) && !Array.isArray(value);
+        case "array":
+            return Array.isArray(value);
+        case "null":
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validate a value against a field schema.
+ * @param {*} value - The value.
+ * @param {Object|string} fieldSchema - The field schema.
+ * @param {string} path - The path to the value.
+ * @param {ValidationError[]} errors - An array to add validation errors to.
+ * @private
+ */
+function validateValue(value, fieldSchema, path, errors) {
+    if(typeof fieldSchema === "string") {
+        if([ "integer", "array", "null" ].includes(fieldSchema)) {
+            if(!matchesType(value, fieldSchema)) {
+                errors.push({ path, message: `expected ${fieldSchema}, found ${describeType(value)}` });
+            }
+        }
+        else if(typeof value !== fieldSchema) {
+            errors.push({ path, message: `expected typeof ${fieldSchema}, found ${typeof value}` });
+        }
+        return;
+    }
+
+    if((value === null) && fieldSchema.nullable) {
+        return;
+    }
+    const fieldSchemaType = getFieldSchemaType(fieldSchema);
+    if((fieldSchemaType !== null) && !matchesType(value, fieldSchemaType)) {
+        errors.push({ path, message: `expected ${fieldSchemaType}, found ${describeType(value)}` });
+        return;
+    }
+    if(("enum" in fieldSchema) && !fieldSchema.enum.includes(value)) {
+        errors.push({ path, message: `expected one of ${JSON.stringify(fieldSchema.enum)}` });
+        return;
+    }
+    if("format" in fieldSchema) {
+        if((typeof value !== "string") || !stringFormatValidators[fieldSchema.format](value)) {
+            errors.push({ path, message: `expected ${fieldSchema.format} format` });
+            return;
+        }
+    }
+
+    if(Array.isArray(value)) {
+        if(("minItems" in fieldSchema) && (value.length < fieldSchema.minItems)) {
+            errors.push({ path, message: `expected at least ${fieldSchema.minItems} items, found ${value.length}` });
+        }
+        if(("maxItems" in fieldSchema) && (value.length > fieldSchema.maxItems)) {
+            errors.push({ path, message: `expected at most ${fieldSchema.maxItems} items, found ${value.length}` });
+        }
+        if("items" in fieldSchema) {
+            value.forEach((item, index) => {
+                validateValue(item, fieldSchema.items, `${path}[${index}]`, errors);
+            });
+        }
+        return;
+    }
+
+    if((typeof value === "object") && (value !== null) &&
+        (("properties" in fieldSchema) || ("additionalProperties" in fieldSchema))) {
+        const properties = ("properties" in fieldSchema) ? fieldSchema.properties : { };
+        for(const property in properties) {
+            const propertySchema = properties[property];
+            if(!(property in value)) {
+                if(!isObjectFieldSchema(propertySchema) || !propertySchema.optional) {
+                    errors.push({ path: joinPath(path, property), message: "missing required property" });
+                }
+                continue;
+            }
+            validateValue(value[property], propertySchema, joinPath(path, property), errors);
+        }
+        const additionalProperties = ("additionalProperties" in fieldSchema) ? fieldSchema.additionalProperties : true;
+        if(additionalProperties !== true) {
+            for(const property of Object.keys(value)) {
+                // The message type property is always permitted
+                if((property in properties) || ((path === "") && (property === "type"))) {
+                    continue;
+                }
+                if(additionalProperties === false) {
+                    errors.push({ path: joinPath(path, property), message: "unexpected property" });
+                }
+                else {
+                    validateValue(value[property], additionalProperties, joinPath(path, property), errors);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Validates a message against a schema. Assumes that the message is an object with a
+ * type string. If you cannot guarantee that, call `validateMessageObject` first.
+ * @param {Object} message - The message.
+ * @param {Object} [messageSchema] - The normalized schema to use for validation. If no
+ * schema is specified, this function attempts to retrieve the registered schema for the
+ * message type.
+ * @returns {ValidationError[]} The validation errors, which are empty if the message is
+ * valid. If there is no schema registered for the message type, there is an error.
+ * @private
+ */
+function getValidationErrors(message, messageSchema) {
+    // If the caller doesn't specify a message schema, attempt to retrieve the registered schema.
+    if(messageSchema === undefined) {
+        messageSchema = messageSchemas.get(message.type);
+        if(messageSchema === undefined) {
+            return [ { path: "type", message: `no schema registered for message type ${message.type}` } ];
+        }
+    }
+    const errors = [ ];
+    validateValue(message, messageSchema, "", errors);
+    return errors;
+}
+
 /**
  * Validates a message against a registered schema. Assumes that the message is an object
  * with a type string. If you cannot guarantee that, call `validateMessageObject` first.
+ * Logs and counts validation errors.
  * @param {Object} message - The message, which must be an object that matches the properties
  * and types specified in the schema.
- * @param {Object} [messageSchema] - The schema to use for validation. If no schema is
- * specified, this function attempts to retrieve the registered schema for the message type.
+ * @param {Object} [messageSchema] - The normalized schema to use for validation. If no
+ * schema is specified, this function attempts to retrieve the registered schema for the
+ * message type.
  * @returns {boolean} Whether the message successfully validated against the schema. Returns
  * `false` if there is a schema mismatch or if there is no schema registered for the message
  * type.
@@ -89,23 +417,29 @@ function validateMessageObject(message) {
  */
 function validateMessageAgainstSchema(message, messageSchema)
 {
-    // If the caller doesn't specify a message schema, attempt to retrieve the registered schema.
-    if(messageSchema === undefined) {
-        messageSchema = messageSchemas.get(message.type);
-        if(messageSchema === undefined) {
-            debugLog(`No schema for message with type: ${message.type}`);
-            return false;
-        }
+    const errors = getValidationErrors(message, messageSchema);
+    if(errors.length > 0) {
+        debugLog.warn(`Message with type ${message.type} failed schema validation`, {
+            messageType: message.type,
+            errors
+        });
+        debugLog.count(`schemaValidationErrors.${message.type}`);
+        return false;
     }
+    return true;
+}
 
-    // Check the message against the schema.
-    for(const field in messageSchema) {
-        if (!(field in message) || (typeof message[field] !== messageSchema[field])) {
-            debugLog(`Mismatch between message and schema: ${JSON.stringify(message)}`);
-            return false;
-        }
+/**
+ * Validate a message against the registered schema for the message type.
+ * @param {Object} message - The message.
+ * @returns {ValidationError[]} The validation errors, which are empty if the message is
+ * valid.
+ */
+export function validateMessage(message) {
+    if(!validateMessageObject(message)) {
+        return [ { path: "", message: "expected an object with a type string" } ];
     }
-    return true;
+    return getValidationErrors(message);
 }
 
 /**
@@ -133,7 +467,7 @@ function browserRuntimeListener(message, sender, sendResponse) {
     // If there is a schema registered for this message type, check the message against the schema.
     if(((messageSchema = messageSchemas.get(message.type)) !== undefined)
          && !validateMessageAgainstSchema(message, messageSchema)) {
-             debugLog(`browser.runtime message failed schema validation: ${JSON.stringify(message)}`);
+        debugLog.count("schemaValidationDrops");
         return;
     }
 
@@ -248,7 +582,9 @@ function unregisterListener(messageType, messageListener) {
  * Registers a schema for a type of message.
  * @param {string} messageType - The type of message that must follow the schema.
  * @param {Object} messageSchema - An object where each field has a value that is
- * a built-in type string.
+ * a field schema, or an object field schema for the message (see the module
+ * documentation).
+ * @throws {Error} Throws an error if the schema is not well formed.
  */
 export function registerSchema(messageType, messageSchema) {
     // Check whether the schema has already been registered
@@ -256,7 +592,9 @@ export function registerSchema(messageType, messageSchema) {
         debugLog(`Multiple schemas for message type: ${messageType}`);
         return;
     }
-    messageSchemas.set(messageType, messageSchema);
+    const normalizedMessageSchema = normalizeMessageSchema(messageSchema);
+    checkFieldSchema(normalizedMessageSchema, messageType);
+    messageSchemas.set(messageType, normalizedMessageSchema);
 }
 
 /**
@@ -279,11 +617,13 @@ export function registerSchema(messageType, messageSchema) {
 export function sendMessageToTab(tabId, message) {
     // Validate the outbound message against the schema
     if(!validateMessageObject(message) || !validateMessageAgainstSchema(message)) {
-        debugLog(`Attempted to send message that fails validation: ${JSON.stringify(message)}`);
+        debugLog.warn(`Attempted to send message that fails validation: ${JSON.stringify(message)}`);
+        debugLog.count("schemaValidationSendFailures");
         return new Promise((resolve) => { resolve(false); });
     }
     return browser.tabs.sendMessage(tabId, message).catch((reason) => {
         debugLog(`Unable to send message to tab: ${JSON.stringify(message)}`);
+        debugLog.count("tabSendFailures");
         return false;
     });
 }
@@ -119,6 +119,7 @@
  * @module webScience.pageManager
  */
 
+import * as debugging from "./debugging.js";
 import * as events from "./events.js";
 import * as idle from "./idle.js";
 import * as messaging from "./messaging.js";
@@ -126,6 +127,12 @@ import * as inline from "./inline.js";
 import * as permissions from "./permissions.js";
 import pageManagerContentScript from "./content-scripts/pageManager.content.js";
 
+/**
+ * @constant {debugging.debuggingLogger}
+ * @private
+ */
+const debugLog = debugging.getDebuggingLog("pageManager");
+
 permissions.check({
     module: "webScience.pageManager",
     requiredPermissions: [ "webNavigation" ],
@@ -665,6 +672,8 @@ export async function initialize() {
             code: inline.dataUrlToString(pageManagerContentScript)
         }],
         runAt: "document_start"
+    }).catch(error => {
+        debugLog.reportError(error, { counter: "contentScriptRegistrationFailures" });
     });
 
     initializing = false;
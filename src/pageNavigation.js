@@ -5,6 +5,7 @@
  * @module webScience.pageNavigation
  */
 
+import * as debugging from "./debugging.js";
 import * as events from "./events.js";
 import * as messaging from "./messaging.js";
 import * as pageManager from "./pageManager.js";
@@ -12,6 +13,12 @@ import * as inline from "./inline.js";
 import * as matching from "./matching.js";
 import pageNavigationContentScript from "./content-scripts/pageNavigation.content.js";
 
+/**
+ * @constant {debugging.debuggingLogger}
+ * @private
+ */
+const debugLog = debugging.getDebuggingLog("pageNavigation");
+
 /**
  * Additional information about the page data event.
  * @typedef {Object} PageDataDetails
@@ -147,6 +154,9 @@ async function addListener(listener, {
             code: inline.dataUrlToString(pageNavigationContentScript)
         }],
         runAt: "document_start"
+    }).catch(error => {
+        debugLog.reportError(error, { counter: "contentScriptRegistrationFailures" });
+        throw error;
     });
 
     // Store a record for the listener
@@ -49,6 +49,7 @@
  * @see {@link https://github.com/nok/sklearn-porter}
  * @module webScience.pageText
  */
+import * as debugging from "./debugging.js";
 import * as messaging from "./messaging.js";
 import * as matching from "./matching.js";
 import * as events from "./events.js";
@@ -56,6 +57,12 @@ import * as inline from "./inline.js";
 import * as pageManager from "./pageManager.js";
 import pageTextContentScript from "./content-scripts/pageText.content.js";
 
+/**
+ * @constant {debugging.debuggingLogger}
+ * @private
+ */
+const debugLog = debugging.getDebuggingLog("pageText");
+
 /**
  * Additional information about the page data event.
  * @typedef {Object} TextParsedDetails
@@ -204,6 +211,9 @@ async function addListener(listener, {
             code: inline.dataUrlToString(pageTextContentScript)
         }],
         runAt: "document_idle"
+    }).catch(error => {
+        debugLog.reportError(error, { counter: "contentScriptRegistrationFailures" });
+        throw error;
     });
 
     // Store a record for the listener
@@ -134,6 +134,7 @@
  * @module webScience.pageTransition
  */
 
+import * as debugging from "./debugging.js";
 import * as events from "./events.js";
 import * as permissions from "./permissions.js";
 import * as messaging from "./messaging.js";
@@ -142,6 +143,12 @@ import * as inline from "./inline.js";
 import * as pageManager from "./pageManager.js";
 import pageTransitionEventContentScript from "./content-scripts/pageTransition.event.content.js";
 import pageTransitionClickContentScript from "./content-scripts/pageTransition.click.content.js";
+
+/**
+ * @constant {debugging.debuggingLogger}
+ * @private
+ */
+const debugLog = debugging.getDebuggingLog("pageTransition");
  
 permissions.check({
     module: "webScience.pageTransition",
@@ -289,6 +296,9 @@ export const onPageTransitionData = events.createEvent({
                 code: inline.dataUrlToString(pageTransitionEventContentScript)
             }],
             runAt: "document_start"
+        }).catch(error => {
+            debugLog.reportError(error, { counter: "contentScriptRegistrationFailures" });
+            throw error;
         })
     });
 }
@@ -333,6 +343,9 @@ async function initialize() {
             code: inline.dataUrlToString(pageTransitionClickContentScript)
         }],
         runAt: "document_start"
+    }).catch(error => {
+        debugLog.reportError(error, { counter: "contentScriptRegistrationFailures" });
+        throw error;
     });
 
     // When pageManager.onPageVisitStart fires...
@@ -2,10 +2,36 @@
  * This module enables running measurements and interventions with randomization,
  * such as A/B tests, multivariate tests, and randomized controlled trials.
  * 
+ * # Reproducible Assignment
+ * By default, conditions are selected with `Math.random()`. If a seed is provided
+ * (e.g., a participant ID), conditions are instead selected by hashing the seed with
+ * the condition set name, so assignments are deterministic and can be reproduced
+ * and audited. Condition sets can also define strata, which select different
+ * conditions or weights based on participant attributes (e.g., a survey answer).
+ * Every assignment is persisted with when and how it was made, and
+ * `exportAssignments` provides those records for analysis.
+ * 
+ * # Within-Subject Designs
+ * `selectCondition` makes a single between-subjects assignment. For within-subject
+ * designs, `createWithinSubjectDesign` assigns conditions per time period (a
+ * crossover that switches conditions every N days), per page (keyed by
+ * `pageManager` page ID), or per domain (keyed by public suffix + 1). Within-subject
+ * assignments are persisted in a record store and can be queried.
+ * 
  * @module webScience.randomization
  */
 
 import * as permissions from "./permissions.js";
+import * as events from "./events.js";
+import * as storage from "./storage.js";
+import * as debugging from "./debugging.js";
+import { urlToPS1 } from "./linkResolutionParsers.js";
+
+/**
+ * @constant {debugging.debuggingLogger}
+ * @private
+ */
+const debugLog = debugging.getDebuggingLog("randomization");
 
 permissions.check({
     module: "webScience.linkExposure",
@@ -22,16 +48,82 @@ permissions.check({
  * selecting a condition from a set.
  */
 
+/**
+ * A stratum in a condition set, which applies to participants with matching attributes.
+ * @typedef {Object} Stratum
+ * @property {string} name - A name that uniquely identifies the stratum within the set
+ * of conditions.
+ * @property {Object} attributes - The participant attribute values for the stratum. A
+ * participant matches the stratum if every attribute value is equal.
+ * @property {Condition[]} [conditions] - The conditions for the stratum. If not
+ * specified, the stratum uses the condition set's conditions, but with independent
+ * random selection.
+ */
+
 /**
  * @typedef {Object} ConditionSet
  * @property {string} name - A name that uniquely identifies the set of conditions.
  * @property {Condition[]} conditions - The conditions in the set.
+ * @property {Stratum[]} [strata] - Strata for stratified assignment. A participant is
+ * assigned within the first stratum that matches their attributes, or with the condition
+ * set's conditions if no stratum matches.
+ */
+
+/**
+ * A record of how a condition was selected from a condition set.
+ * @typedef {Object} Assignment
+ * @property {string} conditionSetName - The name of the condition set.
+ * @property {string} conditionName - The name of the selected condition.
+ * @property {number|null} assignmentTime - The time (in milliseconds since the epoch)
+ * when the condition was selected, or null if the condition was selected before
+ * assignment times were recorded.
+ * @property {string} method - How the condition was selected: "random" (with
+ * `Math.random()`), "hash" (deterministically from a seed), or "unknown" (selected
+ * before assignment methods were recorded).
+ * @property {string|null} stratum - The name of the stratum the participant was
+ * assigned within, or null if no stratum applied.
+ * @property {number|null} randomValue - The uniform random value in [0, 1) that
+ * determined the selection, or null if unknown.
+ * @property {string|null} fingerprint - A fingerprint of the condition set definition
+ * when the condition was selected (or most recently confirmed), or null if unknown.
  */
 
 /**
- * A map of condition set names to condition names. Maintaining a cache avoids
+ * Additional information about a condition set definition change.
+ * @typedef {Object} ConditionSetChangedDetails
+ * @property {string} conditionSetName - The name of the condition set.
+ * @property {string|null} previousFingerprint - The fingerprint of the previous
+ * definition, or null if unknown.
+ * @property {string} fingerprint - The fingerprint of the new definition.
+ * @property {string} policy - The policy for the change ("keep", "reassign", or "throw").
+ * @property {string} previousCondition - The previously selected condition.
+ * @property {string|null} currentCondition - The selected condition after applying
+ * the policy, or null if the policy is "throw".
+ */
+
+/**
+ * An event that fires when `selectCondition` detects that the definition of a
+ * condition set (its conditions, weights, or strata) has changed since a condition
+ * was selected, such as in a new study version. The event reports how the change
+ * was handled.
+ * @constant {events.Event<function(ConditionSetChangedDetails), undefined>}
+ */
+export const onConditionSetChanged = events.createEvent({
+    name: "webScience.randomization.onConditionSetChanged"
+});
+
+/**
+ * The supported policies for condition set definition changes.
+ * @constant {string[]}
+ * @private
+ */
+const definitionChangePolicies = [ "keep", "reassign", "throw" ];
+
+/**
+ * A map of condition set names to assignments. Maintaining a cache avoids
  * storage race conditions. The cache is an Object rather than a Map so it can
- * be easily stored in extension local storage.
+ * be easily stored in extension local storage. Assignments made before
+ * assignment records were introduced are stored as condition names.
  * @type {Object|null}
  * @private
  */
@@ -44,12 +136,191 @@ let conditionCache = null;
  */
 const storageKey = "webScience.randomization.conditions";
 
+/**
+ * Load the cache of selected conditions from extension local storage, if it
+ * has not already been loaded.
+ * @private
+ */
+async function initializeConditionCache() {
+    if(conditionCache === null) {
+        const retrievedConditions = await browser.storage.local.get(storageKey);
+        // Check the cache once more, to avoid a race condition
+        if(conditionCache === null) {
+            if(storageKey in retrievedConditions)
+                conditionCache = retrievedConditions[storageKey];
+            else
+                conditionCache = { };
+        }
+    }
+}
+
+/**
+ * Convert a cached value for a condition set to an assignment record.
+ * @param {string} conditionSetName - The name of the condition set.
+ * @param {Object|string} cachedValue - The cached assignment, or a condition name
+ * for assignments made before assignment records were introduced.
+ * @returns {Assignment} The assignment record.
+ * @private
+ */
+function cachedValueToAssignment(conditionSetName, cachedValue) {
+    if(typeof cachedValue === "string") {
+        return {
+            conditionSetName,
+            conditionName: cachedValue,
+            assignmentTime: null,
+            method: "unknown",
+            stratum: null,
+            randomValue: null,
+            fingerprint: null
+        };
+    }
+    return Object.assign({ conditionSetName, fingerprint: null }, cachedValue);
+}
+
+/**
+ * Check that an array of conditions is valid.
+ * @param {Condition[]} conditions - The conditions.
+ * @throws {Error} Throws an error if the conditions are not valid.
+ * @private
+ */
+function validateConditions(conditions) {
+    const conditionNames = new Set();
+    if(!Array.isArray(conditions) || conditions.length === 0)
+        throw new Error("The condition set must include an array with at least one condition.");
+    for(const condition of conditions) {
+        if((typeof condition !== "object") || (condition === null))
+            throw new Error("Conditions must be objects.");
+        if((typeof condition.name !== "string") || (condition.name.length === 0))
+            throw new Error("Conditions must have non-empty string names.");
+        if((typeof condition.weight !== "number") || !Number.isFinite(condition.weight) || (condition.weight <= 0))
+            throw new Error(`Condition weights must be positive finite numbers (condition ${condition.name}).`);
+        if(conditionNames.has(condition.name))
+            throw new Error(`Conditions must have unique names (condition ${condition.name}).`);
+        conditionNames.add(condition.name);
+    }
+}
+
+/**
+ * Check that a condition set definition is valid, including its strata.
+ * @param {ConditionSet} conditionSet - The condition set.
+ * @throws {Error} Throws an error if the condition set is not valid.
+ * @private
+ */
+function validateConditionSet(conditionSet) {
+    if((typeof conditionSet !== "object") || (conditionSet === null))
+        throw new Error("The condition set must be an object.");
+    if((typeof conditionSet.name !== "string") || (conditionSet.name.length === 0))
+        throw new Error("The condition set must have a non-empty string name.");
+    validateConditions(conditionSet.conditions);
+    if(conditionSet.strata === undefined)
+        return;
+    if(!Array.isArray(conditionSet.strata))
+        throw new Error("The condition set strata must be an array.");
+    const stratumNames = new Set();
+    for(const stratum of conditionSet.strata) {
+        if((typeof stratum !== "object") || (stratum === null) || (typeof stratum.name !== "string") || (stratum.name.length === 0))
+            throw new Error("Strata must be objects with non-empty string names.");
+        if(stratumNames.has(stratum.name))
+            throw new Error(`Strata must have unique names (stratum ${stratum.name}).`);
+        stratumNames.add(stratum.name);
+        if((typeof stratum.attributes !== "object") || (stratum.attributes === null))
+            throw new Error(`Strata must include an object with attribute values (stratum ${stratum.name}).`);
+        if(stratum.conditions !== undefined)
+            validateConditions(stratum.conditions);
+    }
+}
+
+/**
+ * Hash a string with SHA-256.
+ * @param {string} hashInput - The string to hash.
+ * @returns {Promise<Uint8Array>} The hash.
+ * @private
+ */
+async function sha256(hashInput) {
+    return new Uint8Array(await crypto.subtle.digest("SHA-256", (new TextEncoder()).encode(hashInput)));
+}
+
+/**
+ * Generate a deterministic uniform value in [0, 1) by hashing strings with SHA-256.
+ * @param {string[]} hashInputs - The strings to hash.
+ * @returns {Promise<number>} The uniform value.
+ * @private
+ */
+async function hashToUniform(hashInputs) {
+    const digest = await sha256(hashInputs.join("\u0000"));
+    // Use the first 48 bits of the hash, which are exactly representable
+    let value = 0;
+    for(let i = 0; i < 6; i++)
+        value = (value * 256) + digest[i];
+    return value / Math.pow(2, 48);
+}
+
+/**
+ * Generate a fingerprint for a condition set definition, which changes if the
+ * conditions, weights, or strata change. Condition order is included because it
+ * affects weighted selection.
+ * @param {ConditionSet} conditionSet - The condition set, which must be valid.
+ * @returns {Promise<string>} The fingerprint, a hexadecimal SHA-256 hash.
+ * @private
+ */
+async function conditionSetFingerprint(conditionSet) {
+    const conditionsToArray = conditions => conditions.map(({ name, weight }) => [ name, weight ]);
+    const definition = {
+        conditions: conditionsToArray(conditionSet.conditions),
+        strata: (conditionSet.strata !== undefined ? conditionSet.strata : [ ]).map(stratum => [
+            stratum.name,
+            Object.keys(stratum.attributes).sort().map(attribute => [ attribute, stratum.attributes[attribute] ]),
+            stratum.conditions !== undefined ? conditionsToArray(stratum.conditions) : null
+        ])
+    };
+    const digest = await sha256(JSON.stringify(definition));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Select a condition from an array of conditions according to their weights.
+ * @param {Condition[]} conditions - The conditions.
+ * @param {number} randomValue - A uniform random value in [0, 1).
+ * @returns {string} The name of the selected condition.
+ * @private
+ */
+function selectWeightedCondition(conditions, randomValue) {
+    let totalWeight = 0;
+    for(const condition of conditions)
+        totalWeight += condition.weight;
+    for(const condition of conditions) {
+        randomValue -= (condition.weight / totalWeight);
+        if(randomValue < 0)
+            return condition.name;
+    }
+    // Account for floating point rounding
+    return conditions[conditions.length - 1].name;
+}
+
 /**
  * Selects a condition from a set of conditions. If a condition has previously
  * been selected from the set, that same condition will be returned. If not,
- * a condition will be randomly selected according to the provided weights.
+ * a condition will be selected according to the provided weights, either
+ * randomly or deterministically from a seed. The condition set definition is
+ * validated on every call, and a fingerprint of the definition is stored with
+ * the selected condition. If the definition changes (e.g., in a new study version),
+ * the `onDefinitionChange` policy determines what happens, and the
+ * `onConditionSetChanged` event reports the outcome.
  * @param {ConditionSet} conditionSet - The set of conditions.
+ * @param {Object} [options] - Options for selecting a condition.
+ * @param {string} [options.seed] - A seed for deterministic selection, such as a
+ * participant ID. The seed is hashed with the condition set name (and stratum name,
+ * if any), so the same seed selects independently across condition sets. If not
+ * specified, the condition is selected with `Math.random()`.
+ * @param {Object} [options.attributes={}] - Participant attributes for stratified
+ * assignment (e.g., `{ ageGroup: "18-24" }`).
+ * @param {string} [options.onDefinitionChange="keep"] - The policy when the condition
+ * set definition has changed since a condition was selected. "keep" keeps the previously
+ * selected condition if it is still in the condition set, and otherwise selects a new
+ * condition. "reassign" always selects a new condition. "throw" throws an error.
  * @returns {string} - The name of the selected condition in the condition set.
+ * @throws {Error} Throws an error if the condition set definition is not valid, or if
+ * the definition has changed and the policy is "throw".
  * @example
  * // on first run, returns "red" with 0.5 probability and "blue" with 0.5 probability
  * // on subsequent runs, returns the same value as before
@@ -66,49 +337,588 @@ const storageKey = "webScience.randomization.conditions";
  *     }
  *   ]
  * });
+ * @example
+ * // deterministically selects a condition from the participant ID, with
+ * // different weights for participants who report heavy news consumption
+ * randomization.selectCondition({
+ *   name: "intervention",
+ *   conditions: [ { name: "control", weight: 1 }, { name: "treatment", weight: 1 } ],
+ *   strata: [{
+ *     name: "heavyNews",
+ *     attributes: { newsConsumption: "daily" },
+ *     conditions: [ { name: "control", weight: 1 }, { name: "treatment", weight: 2 } ]
+ *   }]
+ * }, {
+ *   seed: participantId,
+ *   attributes: { newsConsumption: surveyAnswer }
+ * });
  */
-export async function selectCondition(conditionSet) {
-    // Initialize the cache of selected conditions
-    if(conditionCache === null) {
-        const retrievedConditions = await browser.storage.local.get(storageKey);
-        // Check the cache once more, to avoid a race condition
-        if(conditionCache === null) {
-            if(storageKey in retrievedConditions)
-                conditionCache = retrievedConditions[storageKey];
-            else
-                conditionCache = { };
+export async function selectCondition(conditionSet, {
+    seed = null,
+    attributes = { },
+    onDefinitionChange = "keep"
+} = { }) {
+    if(!definitionChangePolicies.includes(onDefinitionChange))
+        throw new Error(`Unsupported condition set definition change policy: ${onDefinitionChange}`);
+    validateConditionSet(conditionSet);
+    const fingerprint = await conditionSetFingerprint(conditionSet);
+
+    // Find the stratum that applies to the participant, if any, and the conditions
+    // for that stratum
+    let stratum = null;
+    if(Array.isArray(conditionSet.strata)) {
+        for(const candidateStratum of conditionSet.strata) {
+            if(Object.keys(candidateStratum.attributes).every(attribute =>
+                attributes[attribute] === candidateStratum.attributes[attribute])) {
+                stratum = candidateStratum;
+                break;
+            }
         }
     }
+    const conditions = ((stratum !== null) && (stratum.conditions !== undefined)) ? stratum.conditions : conditionSet.conditions;
 
-    // Try to load the selected condition from the cache
-    if(conditionSet.name in conditionCache)
-        return conditionCache[conditionSet.name];
+    // Initialize the cache of selected conditions
+    await initializeConditionCache();
 
-    // If there isn't a previously selected condition, select a condition,
-    // save it to the cache and extension local storage, and return it 
-    let totalWeight = 0;
-    const conditionNames = new Set();
-    if(!Array.isArray(conditionSet.conditions) || conditionSet.length === 0)
-        throw "The condition set must include an array with at least one condition."
-    for(const condition of conditionSet.conditions) {
-        if(condition.weight <= 0)
-            throw "Condition weights must be positive values."
-        totalWeight += condition.weight;
-        if(conditionNames.has(condition.name))
-            throw "Conditions must have unique names."
-        conditionNames.add(condition.name);
+    // Try to load the selected condition from the cache
+    let previousAssignment = null;
+    if(conditionSet.name in conditionCache) {
+        previousAssignment = cachedValueToAssignment(conditionSet.name, conditionCache[conditionSet.name]);
+        if(previousAssignment.fingerprint === fingerprint)
+            return previousAssignment.conditionName;
+        // Only conditions that the participant's stratum could select are kept
+        const conditionExists = conditions.some(condition => condition.name === previousAssignment.conditionName);
+        // If the condition was selected before fingerprints were stored, and the
+        // condition still exists, assume the definition has not changed
+        if((previousAssignment.fingerprint === null) && conditionExists) {
+            setCachedAssignment(Object.assign(previousAssignment, { fingerprint }));
+            return previousAssignment.conditionName;
+        }
+        const changeDetails = {
+            conditionSetName: conditionSet.name,
+            previousFingerprint: previousAssignment.fingerprint,
+            fingerprint,
+            policy: onDefinitionChange,
+            previousCondition: previousAssignment.conditionName,
+            currentCondition: null
+        };
+        if(onDefinitionChange === "throw") {
+            onConditionSetChanged.notifyListeners([ changeDetails ]);
+            throw new Error(`The definition of condition set ${conditionSet.name} has changed.`);
+        }
+        if((onDefinitionChange === "keep") && conditionExists) {
+            setCachedAssignment(Object.assign(previousAssignment, { fingerprint }));
+            changeDetails.currentCondition = previousAssignment.conditionName;
+            onConditionSetChanged.notifyListeners([ changeDetails ]);
+            return previousAssignment.conditionName;
+        }
     }
+
+    // If there isn't a previously selected condition, or the previous condition
+    // must be reassigned, select a condition, save it to the cache and extension
+    // local storage, and return it
+    const method = seed !== null ? "hash" : "random";
     let randomValue = Math.random();
-    let selectedCondition = "";
-    for(const condition of conditionSet.conditions) {
-        randomValue -= (condition.weight / totalWeight);
-        if(randomValue <= 0) {
-            selectedCondition = condition.name;
-            break;
-        }
+    if(seed !== null) {
+        const hashInputs = [ `${seed}`, conditionSet.name ];
+        if(stratum !== null)
+            hashInputs.push(stratum.name);
+        randomValue = await hashToUniform(hashInputs);
     }
-    conditionCache[conditionSet.name] = selectedCondition;
+    const selectedCondition = selectWeightedCondition(conditions, randomValue);
+    // Check the cache once more, in case another call selected a condition
+    // while hashing
+    if(conditionSet.name in conditionCache) {
+        const currentAssignment = cachedValueToAssignment(conditionSet.name, conditionCache[conditionSet.name]);
+        if((previousAssignment === null) || (currentAssignment.fingerprint === fingerprint))
+            return currentAssignment.conditionName;
+    }
+    setCachedAssignment({
+        conditionSetName: conditionSet.name,
+        conditionName: selectedCondition,
+        assignmentTime: Date.now(),
+        method,
+        stratum: stratum !== null ? stratum.name : null,
+        randomValue,
+        fingerprint
+    });
+    if(previousAssignment !== null) {
+        onConditionSetChanged.notifyListeners([{
+            conditionSetName: conditionSet.name,
+            previousFingerprint: previousAssignment.fingerprint,
+            fingerprint,
+            policy: onDefinitionChange,
+            previousCondition: previousAssignment.conditionName,
+            currentCondition: selectedCondition
+        }]);
+    }
+    return selectedCondition.repeat(1);
+}
+
+/**
+ * Save an assignment to the cache and extension local storage.
+ * @param {Assignment} assignment - The assignment.
+ * @private
+ */
+function setCachedAssignment(assignment) {
+    const cachedValue = Object.assign({ }, assignment);
+    delete cachedValue.conditionSetName;
+    conditionCache[assignment.conditionSetName] = cachedValue;
     // No need to wait for storage to complete
     browser.storage.local.set({ [storageKey]: conditionCache });
-    return selectedCondition.repeat(1);
+}
+
+/**
+ * Export records of every condition selected for the participant, including when
+ * and how each condition was selected.
+ * @returns {Promise<Assignment[]>} The assignment records.
+ */
+export async function exportAssignments() {
+    await initializeConditionCache();
+    return Object.keys(conditionCache).map(conditionSetName =>
+        cachedValueToAssignment(conditionSetName, conditionCache[conditionSetName]));
+}
+
+/**
+ * The maximum delay (in milliseconds) that `setTimeout` supports.
+ * @constant {number}
+ * @private
+ */
+const maximumTimeoutDelay = 2147483647;
+
+/**
+ * The delay (in milliseconds) before checking the period again, for period designs,
+ * if updating the active condition for the current period fails.
+ * @constant {number}
+ * @private
+ * @default
+ */
+const periodCheckRetryDelay = 60000;
+
+/**
+ * The units for within-subject designs.
+ * @constant {string[]}
+ * @private
+ */
+const withinSubjectUnits = [ "period", "page", "domain" ];
+
+/**
+ * The names of condition sets with within-subject designs in this extension context.
+ * @constant {Set<string>}
+ * @private
+ */
+const withinSubjectConditionSetNames = new Set();
+
+/**
+ * A record store for within-subject assignments, or null if it has not been created.
+ * @type {storage.RecordStore|null}
+ * @private
+ */
+let withinSubjectAssignmentStore = null;
+
+/**
+ * A key-value storage area for within-subject design state, or null if it has not
+ * been created.
+ * @type {storage.KeyValueStorage|null}
+ * @private
+ */
+let withinSubjectStorageSpace = null;
+
+/**
+ * A record of how a condition was selected for a unit in a within-subject design.
+ * @typedef {Object} WithinSubjectAssignment
+ * @property {string} conditionSetName - The name of the condition set.
+ * @property {string} unit - The design unit ("period", "page", or "domain").
+ * @property {string} unitId - The period index, page ID, or domain.
+ * @property {string} conditionName - The name of the selected condition.
+ * @property {number} assignmentTime - The time (in milliseconds since the epoch)
+ * when the condition was selected.
+ * @property {string} method - How the condition was selected: "random" (with
+ * `Math.random()`) or "hash" (deterministically from a seed).
+ * @property {number} randomValue - The uniform random value in [0, 1) that
+ * determined the selection.
+ */
+
+/**
+ * Additional information about an active condition change.
+ * @typedef {Object} ActiveConditionChangedDetails
+ * @property {string} conditionSetName - The name of the condition set.
+ * @property {string} unit - The design unit ("period", "page", or "domain").
+ * @property {string} unitId - The period index, page ID, or domain for the active condition.
+ * @property {string|null} previousCondition - The previously active condition, or null
+ * if there was no active condition.
+ * @property {string} currentCondition - The active condition.
+ */
+
+/**
+ * Create a within-subject design for a condition set, where the participant receives
+ * different conditions over time, across pages, or across domains.
+ *   * With the "period" unit, the design is a crossover. The conditions are placed in
+ *     a participant-specific order, and the active condition switches every period,
+ *     cycling through the order. Condition weights are ignored.
+ *   * With the "page" unit, a condition is selected for each page according to the
+ *     condition weights.
+ *   * With the "domain" unit, a condition is selected for each domain (public suffix
+ *     + 1) according to the condition weights, and every page on the domain receives
+ *     the same condition.
+ * The active condition is the condition for the current period or, for page and
+ * domain designs, the condition most recently returned by `getCondition`.
+ * @param {ConditionSet} conditionSet - The set of conditions. Strata are not supported.
+ * @param {Object} [options] - Options for the design.
+ * @param {string} [options.unit="period"] - The design unit ("period", "page", or "domain").
+ * @param {number} [options.periodDays=7] - For period designs, the number of days
+ * between condition changes.
+ * @param {number} [options.startTime] - For period designs, the time (in milliseconds
+ * since the epoch) when the first period starts. Defaults to when the design was first
+ * created for the participant.
+ * @param {string} [options.seed] - A seed for deterministic selection, such as a
+ * participant ID. If not specified, conditions are selected with `Math.random()`.
+ * @returns {WithinSubjectDesign} The within-subject design.
+ * @example
+ * const feedDesign = randomization.createWithinSubjectDesign({
+ *   name: "feedRanking",
+ *   conditions: [ { name: "chronological", weight: 1 }, { name: "ranked", weight: 1 } ]
+ * }, {
+ *   unit: "period",
+ *   periodDays: 7,
+ *   seed: participantId
+ * });
+ * feedDesign.onActiveConditionChanged.addListener(({ currentCondition }) => { ... });
+ */
+export function createWithinSubjectDesign(conditionSet, {
+    unit = "period",
+    periodDays = 7,
+    startTime = null,
+    seed = null
+} = { }) {
+    validateConditionSet(conditionSet);
+    if(!withinSubjectUnits.includes(unit))
+        throw new Error(`Unsupported within-subject design unit: ${unit}`);
+    if((unit === "period") && !(periodDays > 0))
+        throw new Error("The period must be a positive number of days.");
+    if(withinSubjectConditionSetNames.has(conditionSet.name))
+        throw new Error(`A within-subject design already exists for the condition set ${conditionSet.name}.`);
+    withinSubjectConditionSetNames.add(conditionSet.name);
+    if(withinSubjectAssignmentStore === null) {
+        withinSubjectAssignmentStore = storage.createRecordStore("webScience.randomization.withinSubjectAssignments", {
+            keyPath: "id",
+            indexes: [{
+                name: "conditionSetName",
+                keyPath: "conditionSetName"
+            }]
+        });
+        withinSubjectStorageSpace = storage.createKeyValueStorage("webScience.randomization.withinSubject");
+    }
+    return new WithinSubjectDesign(conditionSet, {
+        unit,
+        periodDays,
+        startTime,
+        seed
+    });
+}
+
+/**
+ * Class for a within-subject design. Use the `createWithinSubjectDesign` function to
+ * create a WithinSubjectDesign object.
+ */
+class WithinSubjectDesign {
+    /**
+     * Create a within-subject design.
+     * @param {ConditionSet} conditionSet - The set of conditions.
+     * @param {Object} options - Options for the design. See `createWithinSubjectDesign`.
+     * @private
+     */
+    constructor(conditionSet, {
+        unit,
+        periodDays,
+        startTime,
+        seed
+    }) {
+        this.conditionSetName = conditionSet.name;
+        this.conditions = conditionSet.conditions.map(({ name, weight }) => ({ name, weight }));
+        this.unit = unit;
+        this.periodLength = periodDays * 86400000;
+        this.startTime = startTime;
+        this.seed = seed;
+        this.activeCondition = null;
+        this.activeUnitId = null;
+        // For period designs, the order that the design cycles through conditions
+        this.conditionOrder = null;
+        this.timeoutId = -1;
+        this.pendingAssignments = new Map();
+
+        /**
+         * An event that fires when the active condition changes.
+         * @type {events.Event<function(ActiveConditionChangedDetails), undefined>}
+         */
+        this.onActiveConditionChanged = events.createEvent({
+            name: `webScience.randomization.withinSubjectDesign.${conditionSet.name}.onActiveConditionChanged`
+        });
+
+        this.initializePromise = this.initialize();
+        this.initializePromise.catch(error => {
+            debugLog.reportError(error, {
+                fields: { conditionSetName: this.conditionSetName }
+            });
+        });
+    }
+
+    /**
+     * Load or persist the design state. For period designs, also check whether the
+     * active condition changed while the browser was not open and set a timeout for
+     * the next period.
+     * @returns {Promise} A Promise that resolves once initialization is complete.
+     * @private
+     */
+    async initialize() {
+        const stateKey = this.conditionSetName;
+        const state = Object.assign({ }, await withinSubjectStorageSpace.get(stateKey));
+        if(!("startTime" in state)) {
+            state.startTime = Date.now();
+        }
+        if(this.startTime === null) {
+            this.startTime = state.startTime;
+        }
+        if(!("lastActiveCondition" in state)) {
+            state.lastActiveCondition = null;
+        }
+        // For period designs, select the order of conditions once and persist it, so
+        // that the design cycles through the same order in every period. If the
+        // conditions changed, select a new order.
+        if(this.unit === "period") {
+            const conditionNames = this.conditions.map(condition => condition.name).sort();
+            if(!Array.isArray(state.conditionOrder) ||
+                (JSON.stringify(state.conditionOrder.map(({ name }) => name).sort()) !== JSON.stringify(conditionNames))) {
+                const orderValues = [ ];
+                for(const condition of this.conditions) {
+                    orderValues.push({
+                        name: condition.name,
+                        randomValue: await this.uniformValue([ "order", condition.name ])
+                    });
+                }
+                state.conditionOrder = orderValues.sort((a, b) => a.randomValue - b.randomValue);
+            }
+            this.conditionOrder = state.conditionOrder;
+        }
+        await withinSubjectStorageSpace.set(stateKey, state);
+        this.activeCondition = state.lastActiveCondition;
+        if(this.unit === "period") {
+            await this.checkPeriod();
+        }
+    }
+
+    /**
+     * Generate a uniform value in [0, 1) for a unit, deterministically from the seed if
+     * the design has a seed.
+     * @param {string[]} hashInputs - Strings that identify the unit.
+     * @returns {Promise<number>} The uniform value.
+     * @private
+     */
+    async uniformValue(hashInputs) {
+        if(this.seed === null) {
+            return Math.random();
+        }
+        return await hashToUniform([ `${this.seed}`, this.conditionSetName ].concat(hashInputs));
+    }
+
+    /**
+     * Get the assignment for a unit, selecting and persisting a condition if the unit
+     * does not already have one.
+     * @param {string} unitId - The period index, page ID, or domain.
+     * @returns {Promise<WithinSubjectAssignment>} The assignment.
+     * @private
+     */
+    async getAssignment(unitId) {
+        const assignmentId = `${this.conditionSetName}|${this.unit}|${unitId}`;
+        // Avoid a race condition where concurrent calls select different conditions
+        let assignmentPromise = this.pendingAssignments.get(assignmentId);
+        if(assignmentPromise !== undefined) {
+            return await assignmentPromise;
+        }
+        assignmentPromise = (async () => {
+            const storedAssignment = await withinSubjectAssignmentStore.get(assignmentId);
+            if(storedAssignment !== null) {
+                return storedAssignment;
+            }
+            let conditionName;
+            let randomValue;
+            if(this.unit === "period") {
+                // Cycle through the persisted order of conditions
+                const orderEntry = this.conditionOrder[parseInt(unitId, 10) % this.conditionOrder.length];
+                conditionName = orderEntry.name;
+                randomValue = orderEntry.randomValue;
+            }
+            else {
+                randomValue = await this.uniformValue([ this.unit, unitId ]);
+                conditionName = selectWeightedCondition(this.conditions, randomValue);
+            }
+            const assignment = {
+                id: assignmentId,
+                conditionSetName: this.conditionSetName,
+                unit: this.unit,
+                unitId,
+                conditionName,
+                assignmentTime: Date.now(),
+                method: this.seed !== null ? "hash" : "random",
+                randomValue
+            };
+            await withinSubjectAssignmentStore.put(assignment);
+            return assignment;
+        })();
+        this.pendingAssignments.set(assignmentId, assignmentPromise);
+        try {
+            return await assignmentPromise;
+        }
+        finally {
+            this.pendingAssignments.delete(assignmentId);
+        }
+    }
+
+    /**
+     * Update the active condition, persisting it and notifying listeners if it changed.
+     * @param {string} unitId - The period index, page ID, or domain for the condition.
+     * @param {string} conditionName - The active condition.
+     * @private
+     */
+    async setActiveCondition(unitId, conditionName) {
+        this.activeUnitId = unitId;
+        if(conditionName === this.activeCondition) {
+            return;
+        }
+        const previousCondition = this.activeCondition;
+        this.activeCondition = conditionName;
+        const state = await withinSubjectStorageSpace.get(this.conditionSetName);
+        state.lastActiveCondition = conditionName;
+        await withinSubjectStorageSpace.set(this.conditionSetName, state);
+        this.onActiveConditionChanged.notifyListeners([{
+            conditionSetName: this.conditionSetName,
+            unit: this.unit,
+            unitId,
+            previousCondition,
+            currentCondition: conditionName
+        }]);
+    }
+
+    /**
+     * Get the period index at a time, for period designs.
+     * @param {number} time - The time (in milliseconds since the epoch).
+     * @returns {number} The period index. Times before the start time are in period 0.
+     * @private
+     */
+    periodIndex(time) {
+        return Math.max(Math.floor((time - this.startTime) / this.periodLength), 0);
+    }
+
+    /**
+     * For period designs, update the active condition for the current period and set
+     * a timeout for the next period. If updating the active condition fails, the error
+     * is reported and the period is checked again after a delay.
+     * @private
+     */
+    async checkPeriod() {
+        clearTimeout(this.timeoutId);
+        const currentTime = Date.now();
+        const periodIndex = this.periodIndex(currentTime);
+        let checkDelay = periodCheckRetryDelay;
+        try {
+            const assignment = await this.getAssignment(`${periodIndex}`);
+            await this.setActiveCondition(assignment.unitId, assignment.conditionName);
+            const nextPeriodTime = this.startTime + ((periodIndex + 1) * this.periodLength);
+            checkDelay = Math.max(nextPeriodTime - Date.now(), 0);
+        }
+        catch(error) {
+            debugLog.reportError(error, {
+                fields: { conditionSetName: this.conditionSetName, periodIndex }
+            });
+        }
+        // Cap the delay at the maximum that setTimeout supports
+        this.timeoutId = setTimeout(() => {
+            this.checkPeriod();
+        }, Math.min(checkDelay, maximumTimeoutDelay));
+    }
+
+    /**
+     * Get the condition for a unit in the design, selecting a condition if the unit does
+     * not already have one. The returned condition becomes the active condition.
+     * @param {Object} [options] - The unit to get the condition for.
+     * @param {number} [options.time] - For period designs, a time (in milliseconds since
+     * the epoch) in the period. Defaults to the current time. Only the condition for the
+     * current period becomes the active condition.
+     * @param {string} [options.pageId] - For page designs, the `pageManager` page ID.
+     * @param {string} [options.url] - For domain designs, a URL on the domain. Domains
+     * are keyed by public suffix + 1, or by hostname for hosts without a public suffix
+     * + 1 (e.g., IP addresses and localhost).
+     * @returns {Promise<string>} The name of the condition.
+     * @throws {Error} For domain designs, if the URL does not have a hostname (e.g., a
+     * file URL).
+     */
+    async getCondition({
+        time = null,
+        pageId = null,
+        url = null
+    } = { }) {
+        await this.initializePromise;
+        if(this.unit === "period") {
+            const currentPeriodIndex = this.periodIndex(Date.now());
+            const periodIndex = time !== null ? this.periodIndex(time) : currentPeriodIndex;
+            const assignment = await this.getAssignment(`${periodIndex}`);
+            if(periodIndex === currentPeriodIndex) {
+                await this.setActiveCondition(assignment.unitId, assignment.conditionName);
+            }
+            return assignment.conditionName;
+        }
+        let unitId = pageId;
+        if(this.unit === "page") {
+            if(typeof pageId !== "string")
+                throw new Error("A page ID is required for a page design.");
+        }
+        else {
+            if(typeof url !== "string")
+                throw new Error("A URL is required for a domain design.");
+            unitId = urlToPS1(url);
+            // Hosts without a registrable domain (e.g., IP addresses and localhost)
+            // are their own units
+            if(unitId === null) {
+                let hostname = "";
+                try {
+                    hostname = (new URL(url)).hostname;
+                }
+                catch(error) {
+                    hostname = "";
+                }
+                if(hostname === "")
+                    throw new Error(`The URL does not have a domain for a domain design: ${url}`);
+                unitId = hostname;
+            }
+        }
+        const assignment = await this.getAssignment(unitId);
+        await this.setActiveCondition(unitId, assignment.conditionName);
+        return assignment.conditionName;
+    }
+
+    /**
+     * Get the active condition.
+     * @returns {Promise<string|null>} The name of the active condition, or null if there
+     * is no active condition.
+     */
+    async getActiveCondition() {
+        await this.initializePromise;
+        return this.activeCondition;
+    }
+
+    /**
+     * Get the persisted assignments for the design.
+     * @returns {Promise<WithinSubjectAssignment[]>} The assignments, sorted by
+     * assignment time.
+     */
+    async getAssignments() {
+        const assignments = await withinSubjectAssignmentStore.getAll({
+            index: "conditionSetName",
+            only: this.conditionSetName
+        });
+        return assignments.filter(assignment => assignment.unit === this.unit).map(assignment => {
+            delete assignment.id;
+            return assignment;
+        }).sort((a, b) => a.assignmentTime - b.assignmentTime);
+    }
 }
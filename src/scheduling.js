@@ -1,6 +1,7 @@
 /**
- * This module enables subscribing to periodic events, currently on a daily or
- * weekly schedule.
+ * This module enables subscribing to periodic events, on a daily or weekly
+ * schedule (`onIdleDaily` and `onIdleWeekly`) or on a custom interval or cron
+ * schedule (`createSchedule`).
  * 
  * The module guarantees a lower bound on when the event will fire, rather than
  * a precise time for when the event will fire. This constraint is because
@@ -35,12 +36,46 @@
  *     persistent storage, so it is not a problem that timeouts do not
  *     persist between browser sessions.
  * 
+ * # Custom Schedules
+ * Custom schedules (`createSchedule`) fire on a fixed interval or on a cron
+ * expression. When a schedule requires an idle state, it uses the same
+ * heuristic as the idle daily event: once the schedule is due, wait for the
+ * next idle state with the schedule's detection interval, and if an idle state
+ * does not occur within 24 hours, shorten the detection interval to 1 minute.
+ * Persistent schedules remember their next run time in storage, so they fire
+ * across browser restarts. If the browser was not open when a persistent
+ * schedule should have fired, the schedule catches up by firing once (with
+ * a count of missed runs) rather than firing for every missed run.
+ * 
+ * # Task Queues
+ * Task queues (`createTaskQueue`) run background tasks (e.g., uploading
+ * aggregated data) that must survive browser restarts. Tasks are persisted
+ * in a record store, failed tasks are retried with exponential backoff, and
+ * tasks can be held until the browser is idle. A task that was running when
+ * the browser closed is retried on the next startup.
+ * 
+ * # Study Calendar
+ * The study calendar (`createStudyCalendar`) tracks study time. It persists
+ * the participant's enrollment time and divides the study into named phases
+ * (e.g., a baseline week, an intervention period, and a washout period), so
+ * that measurement modules and interventions can be switched on and off by
+ * phase. Phase change events fire when a phase begins, and on startup if the
+ * phase changed while the browser was not open.
+ * 
  * @module webScience.scheduling
  */
 
 import * as idle from "./idle.js";
 import * as storage from "./storage.js";
 import * as events from "./events.js";
+import * as id from "./id.js";
+import * as debugging from "./debugging.js";
+
+/**
+ * @constant {debugging.debuggingLogger}
+ * @private
+ */
+const debugLog = debugging.getDebuggingLog("scheduling");
 
 /**
  * The number of seconds in a day.
@@ -284,10 +319,1178 @@ async function initialize() {
     // Register two listeners for idle state events from the Idle
     // module. One listener uses the ordinary idle state detection
     // interval and the other uses the shortened interval.
-    idle.onStateChanged.addListener(idleStateListener, idleIntervalInSeconds);
-    idle.onStateChanged.addListener(shortenedIdleStateListener, shortenedIdleIntervalInSeconds);
+    idle.onStateChanged.addListener(idleStateListener, {
+        detectionInterval: idleIntervalInSeconds
+    });
+    idle.onStateChanged.addListener(shortenedIdleStateListener, {
+        detectionInterval: shortenedIdleIntervalInSeconds
+    });
 
     // Set a timeout to account for corner cases with idle state
     // events.
     setIdleStateDetectionTimeout();
 }
+
+/**
+ * The maximum delay (in milliseconds) supported by `setTimeout`. Schedules with
+ * longer delays set intermediate timeouts.
+ * @private
+ * @constant {number}
+ * @default
+ */
+const maximumTimeoutDelay = 2147483647;
+
+/**
+ * The maximum number of missed runs to count for a schedule.
+ * @private
+ * @constant {number}
+ * @default
+ */
+const maximumMissedRuns = 1000;
+
+/**
+ * The names of schedules that have been created in this extension context.
+ * @private
+ * @constant {Set<string>}
+ */
+const scheduleNames = new Set();
+
+/**
+ * A storage.KeyValueStorage instance for persisting schedule state, where each
+ * key is a schedule name.
+ * @private
+ * @type {(Object|null)}
+ * @default
+ */
+let scheduleStorageSpace = null;
+
+/**
+ * The ranges of values for the fields in a cron expression.
+ * @private
+ * @constant {Array<{minimum: number, maximum: number}>}
+ */
+const cronFieldRanges = [
+    { minimum: 0, maximum: 59 }, // Minute
+    { minimum: 0, maximum: 23 }, // Hour
+    { minimum: 1, maximum: 31 }, // Day of month
+    { minimum: 1, maximum: 12 }, // Month
+    { minimum: 0, maximum: 7 } // Day of week (0 and 7 are both Sunday)
+];
+
+/**
+ * A parsed cron expression.
+ * @typedef {Object} CronExpression
+ * @property {Set<number>} minutes - The matching minutes.
+ * @property {Set<number>} hours - The matching hours.
+ * @property {Set<number>} daysOfMonth - The matching days of the month.
+ * @property {Set<number>} months - The matching months (1-12).
+ * @property {Set<number>} daysOfWeek - The matching days of the week (0-6, Sunday is 0).
+ * @property {boolean} daysOfMonthRestricted - Whether the day of month field is not `*`.
+ * @property {boolean} daysOfWeekRestricted - Whether the day of week field is not `*`.
+ * @private
+ */
+
+/**
+ * Parse a cron expression with five fields (minute, hour, day of month, month, and day
+ * of week). Each field supports `*`, values, ranges (`1-5`), steps (`*` + `/15` or
+ * `0-30/10`), and lists (`1,15`).
+ * @param {string} cron - The cron expression.
+ * @returns {CronExpression} The parsed cron expression.
+ * @throws {Error} Throws an error if the cron expression is invalid.
+ * @private
+ */
+function parseCronExpression(cron) {
+    const fields = cron.trim().split(/\s+/);
+    if(fields.length !== 5) {
+        throw new Error(`Invalid cron expression, must have 5 fields: ${cron}`);
+    }
+    const fieldValues = fields.map((field, fieldIndex) => {
+        const { minimum, maximum } = cronFieldRanges[fieldIndex];
+        const values = new Set();
+        for(const part of field.split(",")) {
+            const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+            if(match === null) {
+                throw new Error(`Invalid cron expression field: ${field}`);
+            }
+            let start = minimum;
+            let end = maximum;
+            if(match[1] !== "*") {
+                start = parseInt(match[2], 10);
+                end = match[3] !== undefined ? parseInt(match[3], 10) : ((match[4] !== undefined) ? maximum : start);
+            }
+            const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+            if((start < minimum) || (end > maximum) || (start > end) || (step < 1)) {
+                throw new Error(`Invalid cron expression field: ${field}`);
+            }
+            for(let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+        return values;
+    });
+    // Sunday may be either 0 or 7
+    if(fieldValues[4].has(7)) {
+        fieldValues[4].delete(7);
+        fieldValues[4].add(0);
+    }
+    return {
+        minutes: fieldValues[0],
+        hours: fieldValues[1],
+        daysOfMonth: fieldValues[2],
+        months: fieldValues[3],
+        daysOfWeek: fieldValues[4],
+        daysOfMonthRestricted: fields[2] !== "*",
+        daysOfWeekRestricted: fields[4] !== "*"
+    };
+}
+
+/**
+ * Compute the next time, in local time, that matches a cron expression.
+ * @param {CronExpression} cronExpression - The parsed cron expression.
+ * @param {number} afterTime - The time (in milliseconds since the epoch) after which
+ * to find a matching time.
+ * @returns {number} The next matching time (in milliseconds since the epoch), or
+ * `Infinity` if there is no matching time in the next 5 years.
+ * @private
+ */
+function nextCronTime(cronExpression, afterTime) {
+    const date = new Date(afterTime);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const searchEndTime = afterTime + (5 * 366 * secondsPerDay * 1000);
+    while(date.getTime() <= searchEndTime) {
+        if(!cronExpression.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        const dayOfMonthMatches = cronExpression.daysOfMonth.has(date.getDate());
+        const dayOfWeekMatches = cronExpression.daysOfWeek.has(date.getDay());
+        // Consistent with cron, if both the day of month and the day of week are
+        // restricted, a day matches if either field matches
+        const dayMatches = (cronExpression.daysOfMonthRestricted && cronExpression.daysOfWeekRestricted) ?
+            (dayOfMonthMatches || dayOfWeekMatches) :
+            (dayOfMonthMatches && dayOfWeekMatches);
+        if(!dayMatches) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if(!cronExpression.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if(!cronExpression.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date.getTime();
+    }
+    return Infinity;
+}
+
+/**
+ * Additional information about a schedule event.
+ * @typedef {Object} ScheduleDetails
+ * @property {number} scheduledTime - The time (in milliseconds since the epoch) when
+ * the schedule was due to fire, not including jitter.
+ * @property {number} firedTime - The time (in milliseconds since the epoch) when the
+ * schedule fired.
+ * @property {number} missedRuns - The number of additional times the schedule was due
+ * to fire between the scheduled time and the fired time (e.g., because the browser was
+ * not open). Missed runs are not fired separately.
+ */
+
+/**
+ * A listener for a schedule event.
+ * @callback scheduleListener
+ * @param {ScheduleDetails} details - Additional information about the schedule event.
+ */
+
+/**
+ * Create an event that fires on a custom schedule, either on a fixed interval or
+ * on a cron expression (in local time). The schedule starts when the first listener
+ * is added to the event and stops when the last listener is removed. Like the idle
+ * daily event, the schedule guarantees a lower bound on when the event fires rather
+ * than a precise time.
+ * @param {Object} options - Options for the schedule.
+ * @param {string} [options.name] - A name that uniquely identifies the schedule.
+ * Required if the schedule is persistent.
+ * @param {number} [options.interval] - The interval (in milliseconds) between runs.
+ * Exactly one of `interval` and `cron` must be specified.
+ * @param {string} [options.cron] - A cron expression with five fields (minute, hour,
+ * day of month, month, and day of week) for when the schedule runs. Each field supports
+ * `*`, values, ranges, steps, and lists.
+ * @param {boolean} [options.requireIdle=false] - Whether to wait for the browser to
+ * be idle before firing the event.
+ * @param {number} [options.idleSeconds=180] - The idle state detection interval (in
+ * seconds) to use when waiting for the browser to be idle. Must be at least 15 seconds.
+ * @param {number} [options.jitter=0] - The maximum random delay (in milliseconds) to
+ * add to each run, which spreads out runs across study participants.
+ * @param {boolean} [options.persist=true] - Whether to persist the schedule's next run
+ * time, so that the schedule fires across browser restarts. If false, the schedule
+ * restarts when the extension restarts.
+ * @param {boolean} [options.catchUp=true] - For a persistent schedule, whether to fire
+ * once when the extension starts if a run was missed while the browser was not open.
+ * If false, missed runs are skipped.
+ * @returns {events.Event<scheduleListener, undefined>} An event that fires on the schedule.
+ * @example
+ * const onHourly = scheduling.createSchedule({
+ *   name: "hourlyUpload",
+ *   cron: "0 * * * *",
+ *   requireIdle: true,
+ *   jitter: 5 * 60 * 1000
+ * });
+ * onHourly.addListener(({ missedRuns }) => { ... });
+ */
+export function createSchedule({
+    name = null,
+    interval = null,
+    cron = null,
+    requireIdle = false,
+    idleSeconds = idleIntervalInSeconds,
+    jitter = 0,
+    persist = true,
+    catchUp = true
+} = { }) {
+    if((interval === null) === (cron === null)) {
+        throw new Error("A schedule must specify exactly one of interval and cron.");
+    }
+    if((interval !== null) && (!Number.isFinite(interval) || (interval <= 0))) {
+        throw new Error(`Invalid schedule interval: ${interval}`);
+    }
+    if(persist && (typeof name !== "string")) {
+        throw new Error("A persistent schedule must have a name.");
+    }
+    if(typeof name === "string") {
+        if(scheduleNames.has(name)) {
+            throw new Error(`A schedule named ${name} already exists.`);
+        }
+        scheduleNames.add(name);
+    }
+    const schedule = new Schedule({
+        name,
+        interval,
+        cronExpression: cron !== null ? parseCronExpression(cron) : null,
+        requireIdle,
+        idleSeconds,
+        jitter,
+        persist,
+        catchUp
+    });
+    if(schedule.nextScheduledTimeAfter(Date.now()) === Infinity) {
+        throw new Error(`Cron expression does not match any time in the next 5 years: ${cron}`);
+    }
+    return schedule.event;
+}
+
+/**
+ * Class for a custom schedule. Use the `createSchedule` function to create a
+ * schedule.
+ * @private
+ */
+class Schedule {
+    /**
+     * Create a schedule.
+     * @param {Object} options - Options for the schedule. See `createSchedule`.
+     */
+    constructor({
+        name,
+        interval,
+        cronExpression,
+        requireIdle,
+        idleSeconds,
+        jitter,
+        persist,
+        catchUp
+    }) {
+        this.name = name;
+        this.interval = interval;
+        this.cronExpression = cronExpression;
+        this.requireIdle = requireIdle;
+        this.idleSeconds = idleSeconds;
+        this.shortenedIdleSeconds = Math.min(idleSeconds, shortenedIdleIntervalInSeconds);
+        this.jitter = jitter;
+        this.persist = persist;
+        this.catchUp = catchUp;
+        this.started = false;
+        this.running = false;
+        this.timeoutId = -1;
+        // The time when the schedule is next due, not including jitter
+        this.nextScheduledTime = null;
+        // The time when the schedule next fires, including jitter
+        this.nextRunTime = null;
+        this.idleStateListener = this.idleStateListener.bind(this);
+        this.shortenedIdleStateListener = this.shortenedIdleStateListener.bind(this);
+        this.event = events.createEvent({
+            name: `webScience.scheduling.schedule${name !== null ? `.${name}` : ""}`,
+            addListenerCallback: () => {
+                this.start();
+            },
+            removeListenerCallback: (listener) => {
+                // The listener has not yet been removed from the event
+                if((this.event.listeners.size - (this.event.hasListener(listener) ? 1 : 0)) === 0) {
+                    this.stop();
+                }
+            }
+        });
+    }
+
+    /**
+     * Compute the next time the schedule is due after a time, not including jitter.
+     * @param {number} afterTime - The time (in milliseconds since the epoch).
+     * @returns {number} The next time the schedule is due.
+     */
+    nextScheduledTimeAfter(afterTime) {
+        if(this.interval !== null) {
+            return afterTime + this.interval;
+        }
+        return nextCronTime(this.cronExpression, afterTime);
+    }
+
+    /**
+     * Set the next time the schedule is due, including random jitter, and persist
+     * the time if the schedule is persistent. If persisting the time fails, the error
+     * is logged and the schedule still uses the new time in this extension context,
+     * so that the schedule does not immediately run again.
+     * @param {number} nextScheduledTime - The next time the schedule is due, not
+     * including jitter.
+     */
+    async setNextScheduledTime(nextScheduledTime) {
+        this.nextScheduledTime = nextScheduledTime;
+        this.nextRunTime = nextScheduledTime + Math.floor(Math.random() * this.jitter);
+        if(this.persist) {
+            try {
+                await scheduleStorageSpace.set(this.name, {
+                    nextScheduledTime: this.nextScheduledTime,
+                    nextRunTime: this.nextRunTime
+                });
+            }
+            catch(error) {
+                debugLog.error(`Error persisting the next run time for schedule ${this.name}: ${error}`);
+            }
+        }
+    }
+
+    /**
+     * Start the schedule, loading persisted state if the schedule is persistent.
+     * Runs only once until the schedule is stopped.
+     */
+    start() {
+        if(this.started) {
+            return;
+        }
+        this.started = true;
+        (async () => {
+            const currentTime = Date.now();
+            let scheduleState = null;
+            if(this.persist) {
+                if(scheduleStorageSpace === null) {
+                    scheduleStorageSpace = storage.createKeyValueStorage("webScience.scheduling.schedules");
+                }
+                // If loading the persisted state fails, compute the next time from now
+                try {
+                    scheduleState = await scheduleStorageSpace.get(this.name);
+                }
+                catch(error) {
+                    debugLog.error(`Error loading the persisted state for schedule ${this.name}: ${error}`);
+                }
+            }
+            if((scheduleState !== null) && (this.catchUp || (scheduleState.nextRunTime > currentTime))) {
+                this.nextScheduledTime = scheduleState.nextScheduledTime;
+                this.nextRunTime = scheduleState.nextRunTime;
+            }
+            else if(this.nextRunTime === null) {
+                await this.setNextScheduledTime(this.nextScheduledTimeAfter(currentTime));
+            }
+            // If the schedule was stopped while loading state, do not set timeouts or
+            // listeners
+            if(!this.started) {
+                return;
+            }
+            if(this.requireIdle) {
+                idle.onStateChanged.addListener(this.idleStateListener, {
+                    detectionInterval: this.idleSeconds
+                });
+                if(this.shortenedIdleSeconds !== this.idleSeconds) {
+                    idle.onStateChanged.addListener(this.shortenedIdleStateListener, {
+                        detectionInterval: this.shortenedIdleSeconds
+                    });
+                }
+            }
+            this.setRunTimeout();
+        })().catch(error => {
+            debugLog.error(`Error starting schedule ${this.name}: ${error}`);
+        });
+    }
+
+    /**
+     * Stop the schedule. A stopped schedule remembers its next run time.
+     */
+    stop() {
+        if(!this.started) {
+            return;
+        }
+        this.started = false;
+        clearTimeout(this.timeoutId);
+        // The idle state listeners are not added if the schedule is stopped while
+        // loading state, and the shortened idle state listener is only added if the
+        // shortened interval differs
+        for(const idleListener of [ this.idleStateListener, this.shortenedIdleStateListener ]) {
+            if(idle.onStateChanged.hasListener(idleListener)) {
+                idle.onStateChanged.removeListener(idleListener);
+            }
+        }
+    }
+
+    /**
+     * Set a timeout for when the schedule is next due. If the schedule requires an
+     * idle state, this function accounts for the same corner cases as
+     * `setIdleStateDetectionTimeout`, where the browser is already idle when the
+     * schedule becomes due (or when the shortened idle state detection interval takes
+     * effect) and there will not be an idle state change notification.
+     */
+    setRunTimeout() {
+        clearTimeout(this.timeoutId);
+        if(!this.started) {
+            return;
+        }
+        const runTime = this.nextRunTime;
+        const timeoutDelay = Math.max(runTime - Date.now(), 0);
+        // If the delay is longer than setTimeout supports, set an intermediate timeout
+        if(timeoutDelay > maximumTimeoutDelay) {
+            this.timeoutId = setTimeout(() => {
+                this.setRunTimeout();
+            }, maximumTimeoutDelay);
+            return;
+        }
+        this.timeoutId = setTimeout(() => {
+            if(!this.requireIdle || (idle.queryState(this.idleSeconds) === "idle")) {
+                this.run();
+                return;
+            }
+            const shortenedTimeoutDelay = Math.max(runTime + (shortenedIdleIntervalThresholdInSeconds * 1000) - Date.now(), 0);
+            this.timeoutId = setTimeout(() => {
+                if(idle.queryState(this.shortenedIdleSeconds) === "idle") {
+                    this.run();
+                }
+            }, shortenedTimeoutDelay);
+        }, timeoutDelay);
+    }
+
+    /**
+     * A listener for idle state events with the schedule's idle state detection interval.
+     * @param {string} newState - The new browser idle state.
+     */
+    idleStateListener(newState) {
+        if((newState === "idle") && (this.nextRunTime !== null) && (Date.now() >= this.nextRunTime)) {
+            this.run();
+        }
+    }
+
+    /**
+     * A listener for idle state events with the shortened idle state detection interval.
+     * @param {string} newState - The new browser idle state.
+     */
+    shortenedIdleStateListener(newState) {
+        if((newState === "idle") && (this.nextRunTime !== null) &&
+            (Date.now() >= (this.nextRunTime + (shortenedIdleIntervalThresholdInSeconds * 1000)))) {
+            this.run();
+        }
+    }
+
+    /**
+     * Fire the schedule event, then schedule the next run.
+     */
+    async run() {
+        if(this.running || !this.started) {
+            return;
+        }
+        this.running = true;
+        try {
+            const firedTime = Date.now();
+            const scheduledTime = this.nextScheduledTime;
+            // Count and skip the runs that were due between the scheduled time and now
+            let missedRuns = 0;
+            let nextScheduledTime = this.nextScheduledTimeAfter(scheduledTime);
+            if(this.interval !== null) {
+                missedRuns = Math.max(Math.floor((firedTime - nextScheduledTime) / this.interval) + 1, 0);
+                nextScheduledTime += missedRuns * this.interval;
+            }
+            else {
+                while((nextScheduledTime <= firedTime) && (missedRuns < maximumMissedRuns)) {
+                    missedRuns++;
+                    nextScheduledTime = this.nextScheduledTimeAfter(nextScheduledTime);
+                }
+                if(nextScheduledTime <= firedTime) {
+                    nextScheduledTime = this.nextScheduledTimeAfter(firedTime);
+                }
+            }
+            // Persist the next run time before notifying listeners, so that the
+            // schedule does not fire twice for the same run if the browser closes
+            await this.setNextScheduledTime(nextScheduledTime);
+            this.event.notifyListeners([{
+                scheduledTime,
+                firedTime,
+                missedRuns
+            }]);
+        }
+        finally {
+            this.running = false;
+            this.setRunTimeout();
+        }
+    }
+}
+
+/**
+ * A function that runs a task in a task queue.
+ * @callback taskHandler
+ * @param {*} data - The data for the task.
+ * @param {Object} details - Additional information about the task.
+ * @param {string} details.taskId - The unique ID for the task.
+ * @param {number} details.attempt - The attempt number, starting at 1.
+ * @returns {*|Promise<*>} The result of the task, or a Promise that resolves to the
+ * result. If the handler throws an error (or the Promise rejects), the task has failed.
+ */
+
+/**
+ * A persisted task in a task queue.
+ * @typedef {Object} Task
+ * @property {string} id - The unique ID for the task.
+ * @property {*} data - The data for the task. Must be storable in IndexedDB.
+ * @property {number} attempts - The number of attempts to run the task so far.
+ * @property {number} createdTime - The time (in milliseconds since the epoch) when the
+ * task was added.
+ * @property {number} nextAttemptTime - The earliest time (in milliseconds since the
+ * epoch) when the task will next run.
+ * @property {string|null} lastError - The error from the most recent failed attempt,
+ * if any.
+ */
+
+/**
+ * Additional information about a completed task.
+ * @typedef {Object} TaskCompletedDetails
+ * @property {string} taskId - The unique ID for the task.
+ * @property {*} data - The data for the task.
+ * @property {number} attempts - The number of attempts, including the successful attempt.
+ * @property {*} result - The result returned by the task handler.
+ */
+
+/**
+ * Additional information about a failed task attempt.
+ * @typedef {Object} TaskFailedDetails
+ * @property {string} taskId - The unique ID for the task.
+ * @property {*} data - The data for the task.
+ * @property {number} attempts - The number of attempts so far, including the failed attempt.
+ * @property {string} error - The error from the failed attempt.
+ * @property {boolean} willRetry - Whether the task will be retried. If false, the task
+ * has been removed from the queue.
+ * @property {number|null} nextAttemptTime - The earliest time (in milliseconds since
+ * the epoch) when the task will be retried, or null if the task will not be retried.
+ */
+
+/**
+ * The names of task queues that have been created in this extension context.
+ * @private
+ * @constant {Set<string>}
+ */
+const taskQueueNames = new Set();
+
+/**
+ * Create a persistent task queue. Tasks are run by the queue's handler function as
+ * soon as they are due, subject to the queue's concurrency limit and idle requirement.
+ * Failed tasks are retried with exponential backoff, up to a maximum number of attempts.
+ * Because handler functions cannot be persisted, the task queue should be created on
+ * every extension startup so that pending tasks resume.
+ * @param {string} taskQueueName - A name that uniquely identifies the task queue.
+ * @param {Object} options - Options for the task queue.
+ * @param {taskHandler} options.handler - The function that runs tasks.
+ * @param {number} [options.concurrency=1] - The maximum number of tasks to run at once.
+ * @param {number} [options.maxAttempts=5] - The maximum number of attempts to run a task
+ * before the task is removed from the queue.
+ * @param {number} [options.initialBackoff=60000] - The delay (in milliseconds) before
+ * retrying a task after its first failed attempt. The delay doubles after each
+ * subsequent failed attempt.
+ * @param {number} [options.maxBackoff=86400000] - The maximum delay (in milliseconds)
+ * before retrying a task.
+ * @param {boolean} [options.requireIdle=false] - Whether to hold tasks until the browser
+ * is idle. Tasks that are already running when the browser becomes active will complete.
+ * @param {number} [options.idleSeconds=180] - The idle state detection interval (in
+ * seconds) to use when holding tasks until the browser is idle. Must be at least 15 seconds.
+ * @returns {TaskQueue} The new TaskQueue object.
+ * @example
+ * const uploadQueue = scheduling.createTaskQueue("upload", {
+ *   handler: async (data) => { await upload(data); },
+ *   requireIdle: true
+ * });
+ * uploadQueue.onTaskFailed.addListener(({ error, willRetry }) => { ... });
+ * await uploadQueue.add({ payload });
+ */
+export function createTaskQueue(taskQueueName, {
+    handler,
+    concurrency = 1,
+    maxAttempts = 5,
+    initialBackoff = 60000,
+    maxBackoff = secondsPerDay * 1000,
+    requireIdle = false,
+    idleSeconds = idleIntervalInSeconds
+} = { }) {
+    if(typeof handler !== "function") {
+        throw new Error("A task queue must have a handler function.");
+    }
+    if(taskQueueNames.has(taskQueueName)) {
+        throw new Error(`A task queue named ${taskQueueName} already exists.`);
+    }
+    taskQueueNames.add(taskQueueName);
+    return new TaskQueue(taskQueueName, {
+        handler,
+        concurrency,
+        maxAttempts,
+        initialBackoff,
+        maxBackoff,
+        requireIdle,
+        idleSeconds
+    });
+}
+
+/**
+ * Class for a persistent task queue. Use the `createTaskQueue` function to create a
+ * TaskQueue object.
+ */
+class TaskQueue {
+    /**
+     * Create a task queue.
+     * @param {string} taskQueueName - A name that uniquely identifies the task queue.
+     * @param {Object} options - Options for the task queue. See `createTaskQueue`.
+     * @private
+     */
+    constructor(taskQueueName, {
+        handler,
+        concurrency,
+        maxAttempts,
+        initialBackoff,
+        maxBackoff,
+        requireIdle,
+        idleSeconds
+    }) {
+        this.taskQueueName = taskQueueName;
+        this.handler = handler;
+        this.concurrency = concurrency;
+        this.maxAttempts = maxAttempts;
+        this.initialBackoff = initialBackoff;
+        this.maxBackoff = maxBackoff;
+        this.requireIdle = requireIdle;
+        this.idleSeconds = idleSeconds;
+        this.recordStore = storage.createRecordStore(`webScience.scheduling.taskQueue.${taskQueueName}`, {
+            keyPath: "id",
+            indexes: [{
+                name: "nextAttemptTime",
+                keyPath: "nextAttemptTime"
+            }]
+        });
+        this.runningTaskIds = new Set();
+        this.processing = false;
+        this.processAgain = false;
+        this.timeoutId = -1;
+
+        /**
+         * An event that fires when a task completes successfully.
+         * @type {events.Event<function(TaskCompletedDetails), undefined>}
+         */
+        this.onTaskCompleted = events.createEvent({
+            name: `webScience.scheduling.taskQueue.${taskQueueName}.onTaskCompleted`
+        });
+
+        /**
+         * An event that fires when a task attempt fails.
+         * @type {events.Event<function(TaskFailedDetails), undefined>}
+         */
+        this.onTaskFailed = events.createEvent({
+            name: `webScience.scheduling.taskQueue.${taskQueueName}.onTaskFailed`
+        });
+
+        if(this.requireIdle) {
+            idle.onStateChanged.addListener((newState) => {
+                if(newState === "idle") {
+                    this.processTasks();
+                }
+            }, {
+                detectionInterval: this.idleSeconds
+            });
+        }
+        this.processTasks();
+    }
+
+    /**
+     * Add a task to the queue.
+     * @param {*} data - The data for the task. Must be storable in IndexedDB.
+     * @param {Object} [options] - Options for the task.
+     * @param {number} [options.delay=0] - The minimum delay (in milliseconds) before
+     * running the task.
+     * @returns {Promise<string>} A Promise that resolves to the unique ID for the task,
+     * once the task has been persisted.
+     */
+    async add(data, {
+        delay = 0
+    } = { }) {
+        const currentTime = Date.now();
+        const task = {
+            id: id.generateId(),
+            data,
+            attempts: 0,
+            createdTime: currentTime,
+            nextAttemptTime: currentTime + delay,
+            lastError: null
+        };
+        await this.recordStore.put(task);
+        this.processTasks();
+        return task.id;
+    }
+
+    /**
+     * Get the pending tasks in the queue, including tasks that are running.
+     * @returns {Promise<Task[]>} The pending tasks, sorted by next attempt time.
+     */
+    async getTasks() {
+        return await this.recordStore.getAll({
+            index: "nextAttemptTime"
+        });
+    }
+
+    /**
+     * Get the number of pending tasks in the queue, including tasks that are running.
+     * @returns {Promise<number>} The number of pending tasks.
+     */
+    async size() {
+        return await this.recordStore.count();
+    }
+
+    /**
+     * Remove a task from the queue. If the task is running, it will complete but will
+     * not be retried.
+     * @param {string} taskId - The unique ID for the task.
+     * @returns {Promise} A Promise that resolves once the task has been removed.
+     */
+    async remove(taskId) {
+        await this.recordStore.delete(taskId);
+    }
+
+    /**
+     * Remove all tasks from the queue. Running tasks will complete but will not be retried.
+     * @returns {Promise} A Promise that resolves once the tasks have been removed.
+     */
+    async clear() {
+        await this.recordStore.clear();
+    }
+
+    /**
+     * Compute the backoff delay after a failed attempt.
+     * @param {number} attempts - The number of attempts so far.
+     * @returns {number} The delay (in milliseconds) before the next attempt.
+     * @private
+     */
+    backoffDelay(attempts) {
+        return Math.min(this.initialBackoff * Math.pow(2, attempts - 1), this.maxBackoff);
+    }
+
+    /**
+     * Start running due tasks, up to the concurrency limit, and set a timeout for
+     * when the next task is due. Calls while tasks are being selected are coalesced.
+     * @private
+     */
+    async processTasks() {
+        if(this.processing) {
+            this.processAgain = true;
+            return;
+        }
+        this.processing = true;
+        try {
+            do {
+                this.processAgain = false;
+                clearTimeout(this.timeoutId);
+                if(this.requireIdle && (idle.queryState(this.idleSeconds) !== "idle")) {
+                    continue;
+                }
+                const currentTime = Date.now();
+                const tasks = await this.getTasks();
+                let nextAttemptTime = Infinity;
+                for(const task of tasks) {
+                    if(this.runningTaskIds.has(task.id)) {
+                        continue;
+                    }
+                    if(task.nextAttemptTime > currentTime) {
+                        nextAttemptTime = Math.min(nextAttemptTime, task.nextAttemptTime);
+                        continue;
+                    }
+                    if(this.runningTaskIds.size < this.concurrency) {
+                        this.runningTaskIds.add(task.id);
+                        this.runTask(task);
+                    }
+                }
+                if(nextAttemptTime < Infinity) {
+                    this.timeoutId = setTimeout(() => {
+                        this.processTasks();
+                    }, Math.min(Math.max(nextAttemptTime - Date.now(), 0), maximumTimeoutDelay));
+                }
+            } while(this.processAgain);
+        }
+        catch(error) {
+            debugLog.error(`Error processing task queue ${this.taskQueueName}: ${error}`);
+        }
+        finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Run a task with the queue's handler, then record the outcome and notify listeners.
+     * @param {Task} task - The task to run.
+     * @private
+     */
+    async runTask(task) {
+        const taskId = task.id;
+        try {
+            // Record the attempt before running the task, so that a task that was
+            // running when the browser closed counts as a failed attempt. If the
+            // task was removed since it was selected, do not run it. If the task
+            // already used every attempt (i.e., it was interrupted during its final
+            // attempt), fail the task instead of running it again.
+            let attemptsExhausted = false;
+            task = await this.recordStore.update(task.id, storedTask => {
+                if(storedTask === null) {
+                    return undefined;
+                }
+                if(storedTask.attempts >= this.maxAttempts) {
+                    attemptsExhausted = true;
+                    return undefined;
+                }
+                storedTask.attempts++;
+                storedTask.nextAttemptTime = Date.now() + this.backoffDelay(storedTask.attempts);
+                return storedTask;
+            });
+            if(task === null) {
+                return;
+            }
+            if(attemptsExhausted) {
+                await this.recordStore.delete(task.id);
+                this.onTaskFailed.notifyListeners([{
+                    taskId: task.id,
+                    data: task.data,
+                    attempts: task.attempts,
+                    error: "The task was interrupted during its final attempt.",
+                    willRetry: false,
+                    nextAttemptTime: null
+                }]);
+                return;
+            }
+            let result;
+            let taskError = null;
+            try {
+                result = await this.handler(task.data, {
+                    taskId: task.id,
+                    attempt: task.attempts
+                });
+            }
+            catch(error) {
+                taskError = error;
+            }
+            if(taskError === null) {
+                await this.recordStore.delete(task.id);
+                this.onTaskCompleted.notifyListeners([{
+                    taskId: task.id,
+                    data: task.data,
+                    attempts: task.attempts,
+                    result
+                }]);
+                return;
+            }
+            const willRetry = task.attempts < this.maxAttempts;
+            task.lastError = `${taskError}`;
+            if(willRetry) {
+                // Only update the task if it was not removed while running
+                await this.recordStore.update(task.id, storedTask => storedTask !== null ? task : undefined);
+            }
+            else {
+                await this.recordStore.delete(task.id);
+            }
+            this.onTaskFailed.notifyListeners([{
+                taskId: task.id,
+                data: task.data,
+                attempts: task.attempts,
+                error: task.lastError,
+                willRetry,
+                nextAttemptTime: willRetry ? task.nextAttemptTime : null
+            }]);
+        }
+        catch(error) {
+            debugLog.error(`Error running a task in task queue ${this.taskQueueName}: ${error}`);
+        }
+        finally {
+            this.runningTaskIds.delete(taskId);
+            this.processTasks();
+        }
+    }
+}
+
+/**
+ * A phase in a study calendar.
+ * @typedef {Object} StudyPhase
+ * @property {string} name - The name of the phase.
+ * @property {number} duration - The duration of the phase (in milliseconds). The
+ * final phase may have a duration of `Infinity`.
+ */
+
+/**
+ * A phase in a study calendar, with start and end times for the participant.
+ * @typedef {Object} StudyPhaseTimes
+ * @property {string} name - The name of the phase.
+ * @property {number} startTime - The time (in milliseconds since the epoch) when the
+ * phase starts.
+ * @property {number} endTime - The time (in milliseconds since the epoch) when the
+ * phase ends.
+ */
+
+/**
+ * Additional information about a phase change.
+ * @typedef {Object} PhaseChangedDetails
+ * @property {StudyPhaseTimes|null} previousPhase - The previous phase, or null if the
+ * study had not started.
+ * @property {StudyPhaseTimes|null} currentPhase - The current phase, or null if the
+ * study has ended.
+ * @property {number} changeTime - The time (in milliseconds since the epoch) when the
+ * phase changed. If the phase changed while the browser was not open, the event fires
+ * on startup and the change time is in the past.
+ */
+
+/**
+ * Whether a study calendar has been created in this extension context.
+ * @private
+ * @type {boolean}
+ */
+let studyCalendarCreated = false;
+
+/**
+ * Create the study calendar, which persists the participant's enrollment time and
+ * tracks the current study phase. The participant is enrolled when the study calendar
+ * is first created, so the calendar should be created on every extension startup.
+ * Phases are consecutive, starting at the later of the enrollment time and the study
+ * start time. The study ends when the last phase ends or at the study end time,
+ * whichever is earlier.
+ * @param {Object} options - Options for the study calendar.
+ * @param {StudyPhase[]} options.phases - The phases of the study, in order.
+ * @param {number} [options.startTime] - The earliest time (in milliseconds since the
+ * epoch) when the first phase can start, regardless of enrollment time.
+ * @param {number} [options.endTime] - The time (in milliseconds since the epoch) when
+ * the study ends, regardless of enrollment time.
+ * @returns {StudyCalendar} The study calendar.
+ * @example
+ * const studyCalendar = scheduling.createStudyCalendar({
+ *   phases: [
+ *     { name: "baseline", duration: 7 * 86400000 },
+ *     { name: "intervention", duration: 14 * 86400000 },
+ *     { name: "washout", duration: 7 * 86400000 }
+ *   ]
+ * });
+ * studyCalendar.onPhaseChanged.addListener(({ currentPhase }) => { ... });
+ */
+export function createStudyCalendar({
+    phases,
+    startTime = -Infinity,
+    endTime = Infinity
+} = { }) {
+    if(studyCalendarCreated) {
+        throw new Error("The study calendar has already been created.");
+    }
+    if(!Array.isArray(phases) || (phases.length === 0)) {
+        throw new Error("The study calendar must have at least one phase.");
+    }
+    const phaseNames = new Set();
+    for(const phase of phases) {
+        if((typeof phase.name !== "string") || phaseNames.has(phase.name)) {
+            throw new Error(`Invalid or duplicate study phase name: ${phase.name}`);
+        }
+        phaseNames.add(phase.name);
+        if((typeof phase.duration !== "number") || !(phase.duration > 0)) {
+            throw new Error(`Invalid duration for study phase ${phase.name}: ${phase.duration}`);
+        }
+    }
+    studyCalendarCreated = true;
+    return new StudyCalendar({
+        phases,
+        startTime,
+        endTime
+    });
+}
+
+/**
+ * Class for the study calendar. Use the `createStudyCalendar` function to create the
+ * study calendar.
+ */
+class StudyCalendar {
+    /**
+     * Create the study calendar.
+     * @param {Object} options - Options for the study calendar. See `createStudyCalendar`.
+     * @private
+     */
+    constructor({
+        phases,
+        startTime,
+        endTime
+    }) {
+        this.phases = phases.map(({ name, duration }) => ({ name, duration }));
+        this.startTime = startTime;
+        this.endTime = endTime;
+        this.storageSpace = storage.createKeyValueStorage("webScience.scheduling.studyCalendar");
+        this.timeoutId = -1;
+
+        /**
+         * An event that fires when the study phase changes. The most recent phase
+         * change is replayed to listeners added after it fired.
+         * @type {events.Event<function(PhaseChangedDetails), undefined>}
+         */
+        this.onPhaseChanged = events.createEvent({
+            name: "webScience.scheduling.studyCalendar.onPhaseChanged",
+            replayBufferSize: 1
+        });
+
+        this.initializePromise = this.initialize();
+        this.initializePromise.catch(error => {
+            debugLog.error(`Error initializing the study calendar: ${error}`);
+        });
+    }
+
+    /**
+     * Load or persist the enrollment time, then check for a phase change and set a
+     * timeout for the next phase change.
+     * @returns {Promise} A Promise that resolves once initialization is complete.
+     * @private
+     */
+    async initialize() {
+        this.enrollmentTime = await this.storageSpace.get("enrollmentTime");
+        if(this.enrollmentTime === null) {
+            this.enrollmentTime = Date.now();
+            await this.storageSpace.set("enrollmentTime", this.enrollmentTime);
+        }
+        this.phaseTimes = [ ];
+        let phaseStartTime = Math.max(this.enrollmentTime, this.startTime);
+        for(const { name, duration } of this.phases) {
+            const phaseEndTime = Math.min(phaseStartTime + duration, this.endTime);
+            if(phaseEndTime <= phaseStartTime) {
+                break;
+            }
+            this.phaseTimes.push({
+                name,
+                startTime: phaseStartTime,
+                endTime: phaseEndTime
+            });
+            phaseStartTime = phaseEndTime;
+        }
+        await this.checkPhase();
+    }
+
+    /**
+     * Get the phase at a time.
+     * @param {number} time - The time (in milliseconds since the epoch).
+     * @returns {StudyPhaseTimes|null} The phase, or null if the study has not started
+     * or has ended.
+     * @private
+     */
+    phaseAtTime(time) {
+        for(const phaseTimes of this.phaseTimes) {
+            if((time >= phaseTimes.startTime) && (time < phaseTimes.endTime)) {
+                return Object.assign({ }, phaseTimes);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Compare the current phase with the most recently notified phase, notify listeners
+     * if the phase has changed, and set a timeout for the next phase change.
+     * @private
+     */
+    async checkPhase() {
+        clearTimeout(this.timeoutId);
+        const currentTime = Date.now();
+        const currentPhase = this.phaseAtTime(currentTime);
+        const currentPhaseName = currentPhase !== null ? currentPhase.name : null;
+        const lastPhaseName = await this.storageSpace.get("lastPhaseName");
+        if(currentPhaseName !== lastPhaseName) {
+            // Listeners may have been added for the previous phase name, which could
+            // be a phase from a prior study version, so look up times if possible
+            const previousPhase = this.phaseTimes.find(phaseTimes => phaseTimes.name === lastPhaseName);
+            let changeTime = currentTime;
+            if(currentPhase !== null) {
+                changeTime = currentPhase.startTime;
+            }
+            else if(this.phaseTimes.length > 0) {
+                changeTime = Math.min(this.phaseTimes[this.phaseTimes.length - 1].endTime, currentTime);
+            }
+            this.onPhaseChanged.notifyListeners([{
+                previousPhase: previousPhase !== undefined ? Object.assign({ }, previousPhase) : null,
+                currentPhase,
+                changeTime
+            }]);
+            // Only persist the phase after notifying listeners, so that if the
+            // extension context ends first, the phase change is notified again
+            await this.storageSpace.set("lastPhaseName", currentPhaseName);
+        }
+        // Set a timeout for the next phase boundary
+        const nextBoundaryTime = this.phaseTimes.reduce((nextTime, phaseTimes) => {
+            for(const boundaryTime of [ phaseTimes.startTime, phaseTimes.endTime ]) {
+                if(boundaryTime > currentTime) {
+                    nextTime = Math.min(nextTime, boundaryTime);
+                }
+            }
+            return nextTime;
+        }, Infinity);
+        if(nextBoundaryTime < Infinity) {
+            this.timeoutId = setTimeout(() => {
+                this.checkPhase().catch(error => {
+                    debugLog.error(`Error checking the study phase: ${error}`);
+                });
+            }, Math.min(nextBoundaryTime - currentTime, maximumTimeoutDelay));
+        }
+    }
+
+    /**
+     * Get the time when the participant enrolled in the study.
+     * @returns {Promise<number>} The enrollment time (in milliseconds since the epoch).
+     */
+    async getEnrollmentTime() {
+        await this.initializePromise;
+        return this.enrollmentTime;
+    }
+
+    /**
+     * Get the phases of the study, with start and end times for the participant.
+     * Phases that would start after the study end time are omitted.
+     * @returns {Promise<StudyPhaseTimes[]>} The phases, in order.
+     */
+    async getPhases() {
+        await this.initializePromise;
+        return this.phaseTimes.map(phaseTimes => Object.assign({ }, phaseTimes));
+    }
+
+    /**
+     * Get the current phase of the study.
+     * @returns {Promise<StudyPhaseTimes|null>} The current phase, or null if the study
+     * has not started or has ended.
+     */
+    async getCurrentPhase() {
+        await this.initializePromise;
+        return this.phaseAtTime(Date.now());
+    }
+
+    /**
+     * Get whether the study has ended for the participant.
+     * @returns {Promise<boolean>} Whether the study has ended.
+     */
+    async hasEnded() {
+        await this.initializePromise;
+        if(this.phaseTimes.length === 0) {
+            return Date.now() >= this.endTime;
+        }
+        return Date.now() >= this.phaseTimes[this.phaseTimes.length - 1].endTime;
+    }
+}
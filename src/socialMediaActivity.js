@@ -534,6 +534,8 @@ function tweetContentInit() {
             code: inline.dataUrlToString(twitterContentScript)
         }],
         runAt: "document_idle"
+    }).catch(error => {
+        debugLog.reportError(error, { counter: "contentScriptRegistrationFailures" });
     });
     browser.webRequest.onBeforeSendHeaders.addListener((details) => {
         for (const header of details.requestHeaders) {
@@ -572,6 +574,9 @@ async function fbPostContentInit() {
             code: inline.dataUrlToString(facebookContentScript)
         }],
         runAt: "document_start"
+    }).catch(error => {
+        debugLog.reportError(error, { counter: "contentScriptRegistrationFailures" });
+        throw error;
     });
 }
 
@@ -804,6 +809,7 @@ function findFieldFacebook(object, fieldName, enterArray = true, recurseLevel =
         return findFieldFacebook(parsed, fieldName, enterArray, recurseLevel - 1);
     } catch {
         debugLog("failed parsing facebook content as JSON");
+        debugLog.count("facebookParseFailures");
     }
 
     // if that fails, start checking children
@@ -838,8 +844,8 @@ async function extractFacebookReshare({requestDetails = null, verified = null, e
             const link = findFieldFacebook(attachments, "link");
             const canonical = findFieldFacebook(link, "canonical");
             details.attachedUrls.push(canonical);
-        } catch {
-            debugLog("failed extracting links from facebook content");
+        } catch(error) {
+            debugLog.reportError(error, { counter: "facebookLinkExtractionFailures" });
         }
         const audience = checkFacebookPostAudience(requestDetails);
         const source = await getReshareInfo();
@@ -1,7 +1,24 @@
 /**
  * This module provides convenient storage abstractions on top of extension local
- * storage. These abstractions minimize code duplication and opportunities for
- * error, and allow us to switch the underlying storage implementation in future.
+ * storage and IndexedDB. These abstractions minimize code duplication and opportunities
+ * for error, and allow us to switch the underlying storage implementation in future.
+ * 
+ * # Key-Value Storage
+ * Key-value storage areas (`createKeyValueStorage`) and counters (`createCounter`)
+ * are backed by extension local storage. They are convenient for small amounts of
+ * state, but operations that span an entire storage area (e.g., `toObject` and
+ * `clear`) load all of extension local storage.
+ * 
+ * # Record Storage
+ * Record stores (`createRecordStore`) are backed by IndexedDB. They are designed
+ * for large numbers of similarly structured records (e.g., `pageNavigation.onPageData`
+ * output), and they support secondary indexes, range queries, cursors, and batched
+ * writes.
+ * 
+ * # Time Series
+ * Time series (`createTimeSeries`) are backed by record stores. They aggregate
+ * numeric values into hourly, daily, and weekly buckets by dimension (e.g., public
+ * suffix + 1), and they automatically downsample old buckets into coarser buckets.
  * 
  * Rally studies are welcome to choose any WebExtensions compatible storage option,
  * including this module, extension local storage, IndexedDB, or an IndexedDB wrapper
@@ -12,6 +29,10 @@
  */
 
 import * as permissions from "./permissions.js";
+import * as debugging from "./debugging.js";
+import * as events from "./events.js";
+import * as idle from "./idle.js";
+import * as id from "./id.js";
 
 permissions.check({
     module: "webScience.storage",
@@ -20,28 +41,208 @@ permissions.check({
 });
 
 /**
- * Create a key-value storage area.
+ * @constant {debugging.debuggingLogger}
+ * @private
+ */
+const debugLog = debugging.getDebuggingLog("storage");
+
+/**
+ * A function that migrates the contents of a key-value storage area from the
+ * previous schema version to a new schema version.
+ * @callback keyValueStorageMigration
+ * @param {Object} entries - An object where properties are keys in the storage
+ * area and values are stored values, in the previous schema version.
+ * @returns {Object|Promise<Object>} An object (or a Promise that resolves to an
+ * object) where properties are keys in the storage area and values are stored
+ * values, in the new schema version. Keys that are not in the returned object
+ * are deleted from the storage area.
+ */
+
+/**
+ * A retention policy for a key-value storage area. When the policy is enforced,
+ * entries are evicted in order of when they were last set, oldest first.
+ * @typedef {Object} RetentionPolicy
+ * @property {number} [maxAge] - The maximum time (in milliseconds) since an entry
+ * was last set before the entry is evicted.
+ * @property {number} [maxEntries] - The maximum number of entries in the storage area.
+ * @property {number} [maxBytes] - The maximum estimated size (in bytes) of the entries
+ * in the storage area. Sizes are estimated from the JSON serialization of keys and values.
+ */
+
+/**
+ * Create a key-value storage area. Storage area names can contain periods, and a
+ * storage area can have a name that extends another storage area's name (e.g.,
+ * "example" and "example.settings"). In that case, keys in the storage area with the
+ * shorter name should not begin with the rest of the longer name and a period (e.g.,
+ * "settings.theme" in "example"), since those keys belong to the storage area with
+ * the longer name.
  * @param {string} storageAreaName - A name that uniquely identifies the storage area.
+ * @param {Object} [options] - Options for the storage area.
+ * @param {number} [options.version] - The schema version for values in the storage
+ * area, a positive integer. If a version is specified, the storage area will run
+ * migrations on first access after the version increases. If no version is specified,
+ * the storage area does not track schema versions.
+ * @param {Object<number, keyValueStorageMigration>} [options.migrations={}] - Migration
+ * functions for the storage area, where each property is a schema version and each
+ * value is a function that migrates from the prior version to that version. Versions
+ * without a migration function are treated as not changing the stored values.
+ * @param {RetentionPolicy} [options.retention] - A retention policy for the storage
+ * area. Retention policies are automatically enforced about once a day when the browser
+ * is idle, and can be manually enforced with `enforceRetention` or
+ * `enforceRetentionPolicies`.
+ * @param {boolean} [options.encryption=false] - Whether to encrypt values in the storage
+ * area. See the `KeyValueStorage` documentation for details.
+ * @param {number} [options.coalesceWrites] - If specified, `set` calls are buffered in
+ * memory for this many milliseconds and then written with a single storage call, and
+ * rapid `set` calls to the same key are coalesced into one write. Reads reflect buffered
+ * writes. Buffered writes that have not been flushed when the extension context closes
+ * (e.g., when a popup closes) are lost, so call `flush` before closing if necessary.
  * @returns {KeyValueStorage} The new KeyValueStorage object.
  * @example const exampleStorage = createKeyValueStorage("exampleName"));
+ * @example
+ * // Version 2 of a study stores page visit counts as objects rather than numbers
+ * const exampleStorage = createKeyValueStorage("exampleName", {
+ *   version: 2,
+ *   migrations: {
+ *     2: entries => {
+ *       for(const key in entries) {
+ *         entries[key] = { visitCount: entries[key] };
+ *       }
+ *       return entries;
+ *     }
+ *   }
+ * });
+ * @example
+ * // Keep at most 30 days and 10,000 entries of page visit data
+ * const pageVisitStorage = createKeyValueStorage("pageVisits", {
+ *   retention: {
+ *     maxAge: 30 * 86400000,
+ *     maxEntries: 10000
+ *   }
+ * });
+ * @example
+ * // Encrypt page text at rest
+ * const pageTextStorage = createKeyValueStorage("pageText", {
+ *   encryption: true
+ * });
+ * @example
+ * // Batch frequent aggregate updates into one write per second
+ * const aggregateStorage = createKeyValueStorage("aggregates", {
+ *   coalesceWrites: 1000
+ * });
  */
-export function createKeyValueStorage(storageAreaName) {
-    return new KeyValueStorage(storageAreaName);
+export function createKeyValueStorage(storageAreaName, options = { }) {
+    return new KeyValueStorage(storageAreaName, options);
 }
 
 /**
  * Class for a key-value storage area, where the key is a string and the value can have
  * any of a number of basic types. The class is modeled on the built-in Map type, but
  * backed by persistent storage and using Promise return values.
+ * 
+ * If the storage area has a schema version, the applied schema version is stored in
+ * extension local storage alongside the storage area. On first access after the schema
+ * version increases, the storage area runs its migration functions in order and then
+ * atomically writes the migrated values and the new schema version. If a migration
+ * function throws, nothing is written, and the storage area is read-only: it remains
+ * readable in its previous schema version, and operations that write to the storage
+ * area reject, so values in the new schema version are never mixed with values in the
+ * previous schema version. The migration will be attempted again the next time a
+ * KeyValueStorage object is created for the storage area (e.g., on browser restart).
+ * If another extension context migrates the storage area at the same time, only the
+ * first migration to complete is written.
+ * 
+ * If the storage area has a retention policy, the time each entry was last set is
+ * stored in extension local storage alongside the entry.
+ * 
+ * If the storage area has encryption enabled, values are encrypted with AES-GCM before
+ * they are stored in extension local storage. Each storage area has its own randomly
+ * generated 256-bit key, which is created on first use in this installation of the
+ * extension. Keys are non-extractable WebCrypto keys stored in IndexedDB, so they never
+ * leave the browser and are never stored in extension local storage. Each value is
+ * encrypted with a random IV and is bound to its storage area and key, so encrypted
+ * values cannot be swapped between keys. Values that were stored before encryption was
+ * enabled are read as-is and are encrypted the next time they are set or when the key
+ * is rotated with `rotateEncryptionKey`.
+ * 
+ * If a key is lost (e.g., because IndexedDB was cleared but extension local storage
+ * was not), values encrypted with that key cannot be recovered. They are treated as
+ * absent: `get` resolves to null, `has` resolves to false, and `toObject`, `entries`,
+ * `keys`, and `values` omit them. A new key is generated for subsequent writes, and
+ * `rotateEncryptionKey` removes the unrecoverable values.
+ */
+
+/**
+ * @typedef {Object} KeyValueStorageChangeDetails
+ * @property {string} key - The key in the storage area that changed.
+ * @property {*} oldValue - The value before the change, or null if the key was not in
+ * the storage area.
+ * @property {*} newValue - The value after the change, or null if the key was deleted
+ * from the storage area.
+ */
+
+/**
+ * @callback keyValueStorageChangeListener
+ * @param {KeyValueStorageChangeDetails} details - Details about the change.
  */
 class KeyValueStorage {
     /**
      * Create a key-value storage area. Storage is implemented with extension local storage.
      * @param {string} storageAreaName - A name that uniquely identifies the storage area.
+     * @param {Object} [options] - Options for the storage area. See `createKeyValueStorage`.
      * @private
      */
-    constructor(storageAreaName) {
+    constructor(storageAreaName, {
+        version,
+        migrations = { },
+        retention = null,
+        encryption = false,
+        coalesceWrites
+    } = { }) {
         this.storageAreaName = storageAreaName;
+        this.version = typeof version === "number" ? version : null;
+        this.migrations = migrations;
+        this.retention = retention;
+        this.encryption = encryption === true;
+        this.encryptionState = getEncryptionState(storageAreaName);
+        this.initializationPromise = null;
+        this.migrationError = null;
+        this.changeNotificationPromise = Promise.resolve();
+        this.coalesceWrites = typeof coalesceWrites === "number" ? coalesceWrites : null;
+        this.pendingWrites = new Map();
+        this.flushingWrites = new Map();
+        this.deletingKeys = new Map();
+        this.pendingWritesTimeoutId = null;
+        this.pendingWritesPromise = null;
+        this.pendingWritesCallbacks = null;
+        this.flushingPromise = Promise.resolve();
+        /**
+         * An event that fires when a value in the storage area changes, including
+         * changes in other extension contexts. Listeners are notified once for each
+         * changed key, with the key in the storage area (i.e., without the extension
+         * local storage prefix) and decrypted values.
+         * @type {events.Event<keyValueStorageChangeListener, undefined>}
+         * @example
+         * surveyStorage.onChanged.addListener(({ key, newValue }) => {
+         *   if((key === "status") && (newValue === "cancelled")) {
+         *     // Respond to the survey being cancelled in the popup
+         *   }
+         * });
+         */
+        this.onChanged = events.createEvent({
+            name: "webScience.storage.keyValueStorage.onChanged",
+            addListenerCallback: () => {
+                changeListenerStorageAreas.add(this);
+                initializeStorageChangeListener();
+            }
+        });
+        if(this.encryption) {
+            initializeEncryptionBroadcastChannel();
+        }
+        if(this.retention !== null) {
+            retentionStorageAreas.add(this);
+            initializeMaintenance();
+        }
         return this;
     }
 
@@ -51,9 +252,407 @@ class KeyValueStorage {
      * @returns {string} A key in extension local storage.
      */
     keyToExtensionLocalStorageKey(key) {
-        return `webScience.storage.keyValueStorage.${this.storageAreaName}.${key}`;
+        return `${keyValueStoragePrefix}${this.storageAreaName}.${key}`;
     } 
 
+    /**
+     * Convert a key in extension local storage to a key used in the storage area, if the
+     * key in extension local storage belongs to the storage area. A key in extension local
+     * storage that matches the storage area's prefix belongs to a storage area with a
+     * longer name if that storage area's prefix also matches.
+     * @param {string} storageKey - A key in extension local storage.
+     * @param {Iterable<string>} storageAreaNames - The names of all known storage areas.
+     * @param {boolean} [writeTime=false] - Whether the key in extension local storage is
+     * for the time an entry was last set, rather than for a value.
+     * @returns {string|null} The key used in the storage area, or null if the key in
+     * extension local storage does not belong to the storage area.
+     * @private
+     */
+    extensionLocalStorageKeyToKey(storageKey, storageAreaNames, writeTime = false) {
+        const storageAreaPrefix = `${writeTime ? keyValueStorageWriteTimePrefix : keyValueStoragePrefix}${this.storageAreaName}.`;
+        if(!storageKey.startsWith(storageAreaPrefix)) {
+            return null;
+        }
+        const key = storageKey.substring(storageAreaPrefix.length);
+        for(const storageAreaName of storageAreaNames) {
+            if(storageAreaName.startsWith(`${this.storageAreaName}.`) &&
+                key.startsWith(`${storageAreaName.substring(this.storageAreaName.length + 1)}.`)) {
+                return null;
+            }
+        }
+        return key;
+    }
+
+    /**
+     * The key in extension local storage for the storage area's applied schema version.
+     * @returns {string} A key in extension local storage.
+     * @private
+     */
+    versionExtensionLocalStorageKey() {
+        return `webScience.storage.keyValueStorageVersion.${this.storageAreaName}`;
+    }
+
+    /**
+     * Convert a key used in a storage area to the key in extension local storage for
+     * the time the entry was last set.
+     * @param {string} key - The key used in the storage area.
+     * @returns {string} A key in extension local storage.
+     * @private
+     */
+    keyToWriteTimeExtensionLocalStorageKey(key) {
+        return `${keyValueStorageWriteTimePrefix}${this.storageAreaName}.${key}`;
+    }
+
+    /**
+     * Complete setup for the storage area, by registering the storage area name (and
+     * whether encryption is enabled) and running any pending migrations. Setup only runs once per KeyValueStorage object,
+     * and every other storage area method waits for it to complete. If setup fails
+     * because of an error accessing storage, setup is attempted again on the next call.
+     * @returns {Promise} A Promise that resolves once setup is complete or migrations
+     * have failed.
+     * @private
+     */
+    ensureInitialized() {
+        if(this.initializationPromise === null) {
+            this.initializationPromise = (async () => {
+                await registerStorageArea(this.storageAreaName, this.encryption);
+                await this.migrate();
+            })();
+            this.initializationPromise.catch(() => {
+                this.initializationPromise = null;
+            });
+        }
+        return this.initializationPromise;
+    }
+
+    /**
+     * Complete setup for the storage area, and check that the storage area can be
+     * written to.
+     * @returns {Promise} A Promise that resolves once setup is complete.
+     * @throws {Error} If a migration failed, since the storage area is read-only.
+     * @private
+     */
+    async ensureWritable() {
+        await this.ensureInitialized();
+        if(this.migrationError !== null) {
+            throw new Error(`Storage area ${this.storageAreaName} is read-only because migration to schema version ${this.version} failed: ${this.migrationError}`);
+        }
+    }
+
+    /**
+     * Migrate the storage area from the applied schema version to the storage area's
+     * schema version.
+     * @private
+     */
+    async migrate() {
+        if(this.version === null) {
+            return;
+        }
+        const versionKey = this.versionExtensionLocalStorageKey();
+        const storageResult = await browser.storage.local.get({ [versionKey]: 0 });
+        const appliedVersion = storageResult[versionKey];
+        if(appliedVersion === this.version) {
+            return;
+        }
+        if(appliedVersion > this.version) {
+            debugLog(`Storage area ${this.storageAreaName} has schema version ${appliedVersion}, which is newer than version ${this.version}`);
+            return;
+        }
+
+        const previousEntries = await this.readEntries();
+        const previousKeys = Object.keys(previousEntries);
+        // If the storage area has never been used, there is nothing to migrate
+        if((appliedVersion === 0) && (previousKeys.length === 0)) {
+            await browser.storage.local.set({ [versionKey]: this.version });
+            return;
+        }
+
+        let entries = previousEntries;
+        try {
+            for(let migrationVersion = appliedVersion + 1; migrationVersion <= this.version; migrationVersion++) {
+                if(typeof this.migrations[migrationVersion] === "function") {
+                    entries = await this.migrations[migrationVersion](entries);
+                    if((typeof entries !== "object") || (entries === null)) {
+                        throw new Error(`migration to version ${migrationVersion} did not return an object`);
+                    }
+                }
+            }
+        }
+        catch(error) {
+            debugLog.error(`Failed to migrate storage area ${this.storageAreaName} from schema version ${appliedVersion} to ${this.version}: ${error}`);
+            this.migrationError = error;
+            return;
+        }
+
+        // Write the migrated values and the new schema version in one storage call,
+        // then remove keys that are no longer in use
+        const migratedItems = { [versionKey]: this.version };
+        for(const key in entries) {
+            migratedItems[this.keyToExtensionLocalStorageKey(key)] = await this.encodeValue(key, entries[key]);
+        }
+        // If another extension context migrated the storage area while the migration
+        // functions were running, do not migrate the values again
+        const currentStorageResult = await browser.storage.local.get({ [versionKey]: 0 });
+        if(currentStorageResult[versionKey] !== appliedVersion) {
+            debugLog(`Storage area ${this.storageAreaName} was migrated in another extension context`);
+            return;
+        }
+        await browser.storage.local.set(migratedItems);
+        const keysToRemove = previousKeys.filter(key => !(key in entries)).map(key => this.keyToExtensionLocalStorageKey(key));
+        if(keysToRemove.length > 0) {
+            await browser.storage.local.remove(keysToRemove);
+        }
+        debugLog(`Migrated storage area ${this.storageAreaName} from schema version ${appliedVersion} to ${this.version}`);
+    }
+
+    /**
+     * Get the schema version that has been applied to the storage area. If the storage
+     * area has a schema version and migration failed, this will be the previous schema
+     * version.
+     * @returns {Promise<number>} A Promise that resolves to the applied schema version,
+     * or 0 if the storage area has never had a schema version applied.
+     */
+    async getVersion() {
+        await this.ensureInitialized().catch(() => { });
+        const versionKey = this.versionExtensionLocalStorageKey();
+        const storageResult = await browser.storage.local.get({ [versionKey]: 0 });
+        return storageResult[versionKey];
+    }
+
+    /**
+     * Load all the key-value pairs in the storage area, without waiting for migrations.
+     * Encrypted values are decrypted, and values that cannot be decrypted are omitted.
+     * @returns {Promise<Object>} A promise that resolves to an object where properties
+     * are keys in the storage area and values are stored values.
+     * @private
+     */
+    async readEntries() {
+        const storageEntries = await browser.storage.local.get();
+        const storageAreaNames = getStorageAreaNamesFromEntries(storageEntries);
+        const outputEntries = { };
+        for(const storageKey in storageEntries) {
+            const key = this.extensionLocalStorageKeyToKey(storageKey, storageAreaNames);
+            if(key !== null) {
+                const value = await this.decodeValue(key, storageEntries[storageKey]);
+                if(value !== undefined) {
+                    outputEntries[key] = value;
+                }
+            }
+        }
+        return outputEntries;
+    }
+
+    /**
+     * Load the encryption keys for the storage area from the key record store.
+     * @private
+     */
+    async loadEncryptionKeys() {
+        const keyRecords = await getEncryptionKeyStore().getAll({
+            index: "storageAreaName",
+            only: this.storageAreaName
+        });
+        this.encryptionState.keys.clear();
+        this.encryptionState.activeKeyId = null;
+        let activeKeyCreatedTime = -Infinity;
+        for(const keyRecord of keyRecords) {
+            this.encryptionState.keys.set(keyRecord.id, keyRecord.key);
+            if(keyRecord.createdTime > activeKeyCreatedTime) {
+                this.encryptionState.activeKeyId = keyRecord.id;
+                activeKeyCreatedTime = keyRecord.createdTime;
+            }
+        }
+    }
+
+    /**
+     * Generate a new encryption key for the storage area, store it in the key record
+     * store, and make it the active key.
+     * @returns {Promise<string>} The ID of the new key.
+     * @private
+     */
+    async generateEncryptionKey() {
+        const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, [ "encrypt", "decrypt" ]);
+        const keyId = id.generateId();
+        await getEncryptionKeyStore().put({
+            id: keyId,
+            storageAreaName: this.storageAreaName,
+            key,
+            createdTime: Date.now()
+        });
+        this.encryptionState.keys.set(keyId, key);
+        this.encryptionState.activeKeyId = keyId;
+        return keyId;
+    }
+
+    /**
+     * Convert a value to the form that is stored in extension local storage, by
+     * encrypting the value if the storage area has encryption enabled.
+     * @param {string} key - The key for the value in the storage area.
+     * @param {*} value - The value.
+     * @returns {Promise<*>} The value to store in extension local storage.
+     * @private
+     */
+    async encodeValue(key, value) {
+        if(!this.encryption) {
+            return value;
+        }
+        if(this.encryptionState.activeKeyId === null) {
+            // Share one Promise for loading or generating the active key, so that
+            // concurrent writes do not generate multiple keys
+            if(this.encryptionState.activeKeyPromise === null) {
+                this.encryptionState.activeKeyPromise = (async () => {
+                    try {
+                        await this.loadEncryptionKeys();
+                        if(this.encryptionState.activeKeyId === null) {
+                            await this.generateEncryptionKey();
+                        }
+                    }
+                    finally {
+                        this.encryptionState.activeKeyPromise = null;
+                    }
+                })();
+            }
+            await this.encryptionState.activeKeyPromise;
+        }
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({
+            name: "AES-GCM",
+            iv,
+            additionalData: textEncoder.encode(this.keyToExtensionLocalStorageKey(key))
+        }, this.encryptionState.keys.get(this.encryptionState.activeKeyId), textEncoder.encode(JSON.stringify(value)));
+        return {
+            webScienceEncrypted: 1,
+            keyId: this.encryptionState.activeKeyId,
+            iv: bytesToBase64(iv),
+            ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    /**
+     * Convert a value stored in extension local storage to a value in the storage area,
+     * by decrypting the value if it is encrypted.
+     * @param {string} key - The key for the value in the storage area.
+     * @param {*} storedValue - The value stored in extension local storage.
+     * @returns {Promise<*>} The value, or undefined if the value is encrypted and
+     * cannot be decrypted.
+     * @private
+     */
+    async decodeValue(key, storedValue) {
+        if(!isEncryptedValue(storedValue)) {
+            return storedValue;
+        }
+        // If the key is not cached, it may have been created in another extension
+        // context, so reload the keys
+        if(!this.encryptionState.keys.has(storedValue.keyId)) {
+            await this.loadEncryptionKeys();
+        }
+        const encryptionKey = this.encryptionState.keys.get(storedValue.keyId);
+        if(encryptionKey === undefined) {
+            debugLog.warn(`Unable to decrypt value for key ${key} in storage area ${this.storageAreaName}: the encryption key is unavailable`);
+            return undefined;
+        }
+        try {
+            const plaintext = await crypto.subtle.decrypt({
+                name: "AES-GCM",
+                iv: base64ToBytes(storedValue.iv),
+                additionalData: textEncoder.encode(this.keyToExtensionLocalStorageKey(key))
+            }, encryptionKey, base64ToBytes(storedValue.ciphertext));
+            return JSON.parse(textDecoder.decode(plaintext));
+        }
+        catch(error) {
+            debugLog.warn(`Unable to decrypt value for key ${key} in storage area ${this.storageAreaName}: ${error}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Rotate the encryption key for the storage area. A new key is generated, every
+     * value in the storage area is re-encrypted with the new key, and previous keys are
+     * deleted. Values that cannot be decrypted (e.g., because their key was lost) are
+     * removed. If the storage area does not have encryption enabled, this function
+     * has no effect. Note that this function loads and iterates all key-value pairs in
+     * extension local storage, so it may have performance implications.
+     * @returns {Promise<number>} A Promise that resolves to the number of values that
+     * were removed because they could not be decrypted.
+     */
+    async rotateEncryptionKey() {
+        if(!this.encryption) {
+            return 0;
+        }
+        await this.ensureWritable();
+        await this.flush();
+        await this.loadEncryptionKeys();
+        const previousKeyIds = Array.from(this.encryptionState.keys.keys());
+        const storageEntries = await browser.storage.local.get();
+        const storageAreaNames = getStorageAreaNamesFromEntries(storageEntries);
+        const entries = { };
+        const keysToRemove = [ ];
+        for(const storageKey in storageEntries) {
+            const key = this.extensionLocalStorageKeyToKey(storageKey, storageAreaNames);
+            if(key !== null) {
+                const value = await this.decodeValue(key, storageEntries[storageKey]);
+                if(value === undefined) {
+                    keysToRemove.push(storageKey, this.keyToWriteTimeExtensionLocalStorageKey(key));
+                }
+                else {
+                    entries[key] = value;
+                }
+            }
+        }
+
+        await this.generateEncryptionKey();
+        const items = { };
+        for(const key in entries) {
+            items[this.keyToExtensionLocalStorageKey(key)] = await this.encodeValue(key, entries[key]);
+        }
+        await browser.storage.local.set(items);
+        if(keysToRemove.length > 0) {
+            await browser.storage.local.remove(keysToRemove);
+        }
+
+        // Delete the previous keys and notify other extension contexts
+        await getEncryptionKeyStore().deleteMany(previousKeyIds);
+        for(const previousKeyId of previousKeyIds) {
+            this.encryptionState.keys.delete(previousKeyId);
+        }
+        notifyEncryptionKeyRotation(this.storageAreaName);
+        debugLog(`Rotated encryption key for storage area ${this.storageAreaName}`);
+        return keysToRemove.length / 2;
+    }
+
+    /**
+     * Notify `onChanged` listeners about changes to extension local storage that affect
+     * the storage area. Notifications are delivered in the order that changes occur,
+     * even though decrypting values is asynchronous.
+     * @param {Object} changes - The changes, in the format provided by
+     * `browser.storage.onChanged`.
+     * @private
+     */
+    notifyChangeListeners(changes) {
+        const storageAreaChanges = [ ];
+        for(const storageKey in changes) {
+            const key = this.extensionLocalStorageKeyToKey(storageKey, knownStorageAreaNames);
+            if(key !== null) {
+                storageAreaChanges.push({ storageKey, key });
+            }
+        }
+        if(storageAreaChanges.length === 0) {
+            return;
+        }
+        this.changeNotificationPromise = this.changeNotificationPromise.then(async () => {
+            for(const { storageKey, key } of storageAreaChanges) {
+                const oldValue = await this.decodeValue(key, changes[storageKey].oldValue);
+                const newValue = await this.decodeValue(key, changes[storageKey].newValue);
+                this.onChanged.notifyListeners([{
+                    key,
+                    oldValue: oldValue !== undefined ? oldValue : null,
+                    newValue: newValue !== undefined ? newValue : null
+                }]);
+            }
+        }).catch(error => {
+            debugLog.error(`Error notifying change listeners for storage area ${this.storageAreaName}: ${error}`);
+        });
+    }
+
     /**
      * Get a value from storage by its key.
      * @param {string} key - The key to use in the storage area.
@@ -61,17 +660,164 @@ class KeyValueStorage {
      * or null if the value is not in the storage area.
      */
     async get(key) {
-        const storageResult = await browser.storage.local.get({ [this.keyToExtensionLocalStorageKey(key)]: null });
-        return storageResult[this.keyToExtensionLocalStorageKey(key)];
+        return (await this.getMany([ key ]))[key];
+    }
+
+    /**
+     * Get multiple values from storage by their keys, with a single storage call.
+     * @param {string[]} keys - The keys to use in the storage area.
+     * @returns {Promise<Object>} A Promise that resolves to an object where properties
+     * are the keys and values are the values in the storage area, or null for keys that
+     * are not in the storage area.
+     */
+    async getMany(keys) {
+        await this.ensureInitialized();
+        const storageDefaults = { };
+        for(const key of keys) {
+            storageDefaults[this.keyToExtensionLocalStorageKey(key)] = null;
+        }
+        const storageResult = await browser.storage.local.get(storageDefaults);
+        const values = { };
+        for(const key of keys) {
+            if(this.pendingWrites.has(key)) {
+                values[key] = this.pendingWrites.get(key);
+                continue;
+            }
+            if(this.flushingWrites.has(key)) {
+                values[key] = this.flushingWrites.get(key);
+                continue;
+            }
+            if(this.deletingKeys.has(key)) {
+                values[key] = null;
+                continue;
+            }
+            const value = await this.decodeValue(key, storageResult[this.keyToExtensionLocalStorageKey(key)]);
+            values[key] = value !== undefined ? value : null;
+        }
+        return values;
     }
 
     /**
-     * Set a key-value pair in storage.
+     * Set a key-value pair in storage. If the storage area coalesces writes, the write
+     * is buffered, and the returned Promise resolves once the buffered writes are flushed.
      * @param {string} key - The key to use in the storage area.
      * @param {*} value - The value to store in the storage area for the key.
      */
     async set(key, value) {
-        await browser.storage.local.set({ [this.keyToExtensionLocalStorageKey(key)]: value });
+        await this.ensureWritable();
+        if(this.coalesceWrites === null) {
+            await this.writeEntries({ [key]: value });
+            return;
+        }
+        this.pendingWrites.set(key, value);
+        if(this.pendingWritesPromise === null) {
+            this.pendingWritesPromise = new Promise((resolve, reject) => {
+                this.pendingWritesCallbacks = { resolve, reject };
+            });
+            this.pendingWritesTimeoutId = setTimeout(() => {
+                this.flush().catch(() => { });
+            }, this.coalesceWrites);
+        }
+        await this.pendingWritesPromise;
+    }
+
+    /**
+     * Set multiple key-value pairs in storage, with a single storage call.
+     * @param {Object|Array<Array>} entries - Either an object where properties are keys
+     * and values are values, or an array of [key, value] pairs.
+     */
+    async setMany(entries) {
+        await this.ensureWritable();
+        if(Array.isArray(entries)) {
+            entries = Object.fromEntries(entries);
+        }
+        // Writes from this call supersede buffered writes for the same keys
+        const flushingKeys = [ ];
+        for(const key in entries) {
+            this.pendingWrites.delete(key);
+            if(this.flushingWrites.has(key)) {
+                flushingKeys.push(key);
+            }
+        }
+        if(flushingKeys.length === 0) {
+            await this.writeEntries(entries);
+            return;
+        }
+        // If a flush with any of the keys is in progress, write after the flush, so
+        // that the flush does not overwrite this call's values, and track the values
+        // like flushing values, so reads and deletions account for them
+        for(const key of flushingKeys) {
+            this.flushingWrites.set(key, entries[key]);
+        }
+        try {
+            this.flushingPromise = this.flushingPromise.catch(() => { }).then(() => this.writeEntries(entries));
+            await this.flushingPromise;
+        }
+        finally {
+            for(const key of flushingKeys) {
+                if(this.flushingWrites.get(key) === entries[key]) {
+                    this.flushingWrites.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Write key-value pairs to extension local storage with a single storage call,
+     * including write times if the storage area has a retention policy.
+     * @param {Object} entries - An object where properties are keys and values are values.
+     * @private
+     */
+    async writeEntries(entries) {
+        const items = { };
+        const writeTime = Date.now();
+        for(const key in entries) {
+            items[this.keyToExtensionLocalStorageKey(key)] = await this.encodeValue(key, entries[key]);
+            if(this.retention !== null) {
+                items[this.keyToWriteTimeExtensionLocalStorageKey(key)] = writeTime;
+            }
+        }
+        await browser.storage.local.set(items);
+    }
+
+    /**
+     * Immediately write any buffered writes to storage. If the storage area does not
+     * coalesce writes, this function has no effect.
+     * @returns {Promise} A Promise that resolves once buffered writes are written.
+     */
+    async flush() {
+        clearTimeout(this.pendingWritesTimeoutId);
+        const pendingWrites = this.pendingWrites;
+        const pendingWritesCallbacks = this.pendingWritesCallbacks;
+        this.pendingWrites = new Map();
+        this.pendingWritesPromise = null;
+        this.pendingWritesCallbacks = null;
+        if(pendingWritesCallbacks === null) {
+            return;
+        }
+        for(const [ key, value ] of pendingWrites) {
+            this.flushingWrites.set(key, value);
+        }
+        try {
+            // Write after any in-progress write of flushing values, so that writes
+            // land in order
+            this.flushingPromise = this.flushingPromise.catch(() => { }).then(() => this.writeEntries(Object.fromEntries(pendingWrites)));
+            await this.flushingPromise;
+            pendingWritesCallbacks.resolve();
+        }
+        catch(error) {
+            pendingWritesCallbacks.reject(error);
+            throw error;
+        }
+        finally {
+            // Only forget flushing values that have not been superseded by a
+            // subsequent flush
+            for(const [ key, value ] of pendingWrites) {
+                if(this.flushingWrites.get(key) === value) {
+                    this.flushingWrites.delete(key);
+                }
+            }
+        }
     }
 
     /**
@@ -81,9 +827,20 @@ class KeyValueStorage {
      * storage area.
      */
     async has(key) {
+        await this.ensureInitialized();
+        if(this.pendingWrites.has(key) || this.flushingWrites.has(key)) {
+            return true;
+        }
+        if(this.deletingKeys.has(key)) {
+            return false;
+        }
         const extensionLocalStorageKey = this.keyToExtensionLocalStorageKey(key);
         const storageResult = await browser.storage.local.get(extensionLocalStorageKey);
-        return extensionLocalStorageKey in storageResult;
+        if(!(extensionLocalStorageKey in storageResult)) {
+            return false;
+        }
+        // Values that cannot be decrypted are treated as absent, consistent with get
+        return (await this.decodeValue(key, storageResult[extensionLocalStorageKey])) !== undefined;
     }
 
     /**
@@ -92,11 +849,64 @@ class KeyValueStorage {
      * @returns {Promise<boolean>} Whether the key was in use in the storage area.
      */
     async delete(key) {
-        const hadKey = await this.has(key);
-        if(hadKey) {
-            await browser.storage.local.remove(key);
+        return (await this.deleteMany([ key ])) > 0;
+    }
+
+    /**
+     * Delete multiple key-value pairs from storage, with a single storage call
+     * for checking keys and a single storage call for removing keys.
+     * @param {string[]} keys - The keys to use in the storage area.
+     * @returns {Promise<number>} The number of keys that were in use in the storage area.
+     */
+    async deleteMany(keys) {
+        await this.ensureWritable();
+        // Discard buffered values for the keys and mark the keys as deleting before
+        // waiting on storage, so reads during the deletion (including reads during an
+        // in-progress flush with the keys) do not return the deleted values
+        const hadPendingWrites = new Set();
+        let hadFlushingWrite = false;
+        for(const key of keys) {
+            if(this.pendingWrites.delete(key)) {
+                hadPendingWrites.add(key);
+            }
+            if(this.flushingWrites.delete(key)) {
+                hadPendingWrites.add(key);
+                hadFlushingWrite = true;
+            }
+            this.deletingKeys.set(key, (this.deletingKeys.has(key) ? this.deletingKeys.get(key) : 0) + 1);
+        }
+        try {
+            const extensionLocalStorageKeys = keys.map(key => this.keyToExtensionLocalStorageKey(key));
+            const storageResult = await browser.storage.local.get(extensionLocalStorageKeys);
+            let deletedKeys = 0;
+            const keysToRemove = [ ];
+            for(const key of keys) {
+                if(hadPendingWrites.has(key) || (this.keyToExtensionLocalStorageKey(key) in storageResult)) {
+                    deletedKeys++;
+                    keysToRemove.push(this.keyToExtensionLocalStorageKey(key), this.keyToWriteTimeExtensionLocalStorageKey(key));
+                }
+            }
+            if(keysToRemove.length > 0) {
+                // Wait for any in-progress flush with the keys, so the removal is
+                // not overwritten
+                if(hadFlushingWrite) {
+                    await this.flushingPromise.catch(() => { });
+                }
+                await browser.storage.local.remove(keysToRemove);
+            }
+            return deletedKeys;
+        }
+        finally {
+            for(const key of keys) {
+                const deletingCount = this.deletingKeys.get(key) - 1;
+                if(deletingCount > 0) {
+                    this.deletingKeys.set(key, deletingCount);
+                }
+                else {
+                    this.deletingKeys.delete(key);
+                }
+            }
         }
-        return hadKey;
     }
 
     /**
@@ -108,15 +918,18 @@ class KeyValueStorage {
      * values.
      */
     async toObject() {
-        const storagePrefix = this.keyToExtensionLocalStorageKey("");
-        const storageEntries = await browser.storage.local.get();
-        const outputEntries = { };
-        for(const key in storageEntries) {
-            if(key.startsWith(storagePrefix)) {
-                outputEntries[key.substring(storagePrefix.length)] = storageEntries[key];
-            }
+        await this.ensureInitialized();
+        const entries = await this.readEntries();
+        for(const key of this.deletingKeys.keys()) {
+            delete entries[key];
         }
-        return outputEntries;
+        for(const [ key, value ] of this.flushingWrites) {
+            entries[key] = value;
+        }
+        for(const [ key, value ] of this.pendingWrites) {
+            entries[key] = value;
+        }
+        return entries;
     }
 
     /**
@@ -155,139 +968,2447 @@ class KeyValueStorage {
     /**
      * Clear all key-value pairs in the storage area. Note that this
      * function loads and iterates all key-value pairs in extension local
-     * storage, so it may have performance implications.
+     * storage, so it may have performance implications. The applied schema
+     * version for the storage area is not cleared.
      */
     async clear() {
-        const storagePrefix = this.keyToExtensionLocalStorageKey("");
+        await this.ensureWritable();
+        await this.flush();
         const storageEntries = await browser.storage.local.get();
+        const storageAreaNames = getStorageAreaNamesFromEntries(storageEntries);
         const keysToRemove = [ ];
-        for(const key in storageEntries) {
-            if(key.startsWith(storagePrefix)) {
-                keysToRemove.push(key);
+        for(const storageKey in storageEntries) {
+            if((this.extensionLocalStorageKeyToKey(storageKey, storageAreaNames) !== null) ||
+                (this.extensionLocalStorageKeyToKey(storageKey, storageAreaNames, true) !== null)) {
+                keysToRemove.push(storageKey);
             }
         }
         await browser.storage.local.remove(keysToRemove);
     }
+
+    /**
+     * Enforce the storage area's retention policy, evicting entries that are too old
+     * or that exceed the storage area's entry count or size limits. Entries that were
+     * set before the storage area had a retention policy are treated as if they were
+     * set when the retention policy was first enforced. Note that this function loads
+     * and iterates all key-value pairs in extension local storage, so it may have
+     * performance implications.
+     * @returns {Promise<number>} A Promise that resolves to the number of evicted
+     * entries. If the storage area does not have a retention policy, no entries are
+     * evicted.
+     */
+    async enforceRetention() {
+        if(this.retention === null) {
+            return 0;
+        }
+        await this.ensureWritable();
+        await this.flush();
+        const storageEntries = await browser.storage.local.get();
+        const storageAreaNames = getStorageAreaNamesFromEntries(storageEntries);
+        const currentTime = Date.now();
+
+        // Match entries with the times they were last set, and clean up write
+        // times for entries that no longer exist
+        const entries = [ ];
+        const missingWriteTimes = { };
+        const keysToRemove = [ ];
+        for(const storageKey in storageEntries) {
+            const key = this.extensionLocalStorageKeyToKey(storageKey, storageAreaNames);
+            const writeTimeKey = this.extensionLocalStorageKeyToKey(storageKey, storageAreaNames, true);
+            if(key !== null) {
+                const writeTimeStorageKey = this.keyToWriteTimeExtensionLocalStorageKey(key);
+                let writeTime = storageEntries[writeTimeStorageKey];
+                if(typeof writeTime !== "number") {
+                    writeTime = currentTime;
+                    missingWriteTimes[writeTimeStorageKey] = writeTime;
+                }
+                entries.push({
+                    key,
+                    writeTime,
+                    bytes: estimateEntryBytes(key, storageEntries[storageKey])
+                });
+            }
+            else if((writeTimeKey !== null) && !(this.keyToExtensionLocalStorageKey(writeTimeKey) in storageEntries)) {
+                keysToRemove.push(storageKey);
+            }
+        }
+        if(Object.keys(missingWriteTimes).length > 0) {
+            await browser.storage.local.set(missingWriteTimes);
+        }
+
+        // Select entries to evict, oldest first
+        entries.sort((a, b) => a.writeTime - b.writeTime);
+        let firstRetainedEntry = 0;
+        if(typeof this.retention.maxAge === "number") {
+            while((firstRetainedEntry < entries.length) && (entries[firstRetainedEntry].writeTime < (currentTime - this.retention.maxAge))) {
+                firstRetainedEntry++;
+            }
+        }
+        if(typeof this.retention.maxEntries === "number") {
+            firstRetainedEntry = Math.max(firstRetainedEntry, entries.length - this.retention.maxEntries);
+        }
+        if(typeof this.retention.maxBytes === "number") {
+            let retainedBytes = 0;
+            for(let i = firstRetainedEntry; i < entries.length; i++) {
+                retainedBytes += entries[i].bytes;
+            }
+            while((firstRetainedEntry < entries.length) && (retainedBytes > this.retention.maxBytes)) {
+                retainedBytes -= entries[firstRetainedEntry].bytes;
+                firstRetainedEntry++;
+            }
+        }
+
+        for(const { key } of entries.slice(0, firstRetainedEntry)) {
+            keysToRemove.push(this.keyToExtensionLocalStorageKey(key), this.keyToWriteTimeExtensionLocalStorageKey(key));
+        }
+        if(keysToRemove.length > 0) {
+            await browser.storage.local.remove(keysToRemove);
+        }
+        if(firstRetainedEntry > 0) {
+            debugLog(`Evicted ${firstRetainedEntry} entries from storage area ${this.storageAreaName}`);
+        }
+        return firstRetainedEntry;
+    }
 }
 
 /**
- * Create a persistent counter.
- * @param {string} counterName - A name that uniquely identifies the counter.
- * @returns {Counter} The new Counter object.
+ * The key-value storage areas in this extension context that have had `onChanged`
+ * listeners added.
+ * @constant {Set<KeyValueStorage>}
+ * @private
  */
-export async function createCounter(counterName) {
-    const counter = new Counter(counterName);
-    await counter.initialize();
-    return counter;
-}
+const changeListenerStorageAreas = new Set();
 
 /**
- * Class for maintaining persistent counters (e.g., unique IDs).
+ * Whether the module's `browser.storage.onChanged` listener has been added.
+ * @type {boolean}
+ * @private
  */
-class Counter {
-    /**
-     * Create a persistent counter. Note that, because creating a counter
-     * requires asynchronous calls (which cannot happen in a constructor),
-     * the counter will not be setup until a subsequent call to `initialize()`.
-     * @param {string} counterName - A name that uniquely identifies the counter.
-     * @example var exampleCounter = await (new Counter("exampleName")).initialize();
-     */
-    constructor(counterName) {
-        this.counterName = counterName;
-        this.counterValue = 0;
-    }
+let storageChangeListenerInitialized = false;
 
-    /**
-     * Complete creation of the persistent counter. Returns itself for convenience.
-     * @returns {Object} The persistent counter.
-     */
-    async initialize() {
-        if(Counter.storage === null) {
-            Counter.storage = new KeyValueStorage("webScience.storage.counter");
+/**
+ * Add a `browser.storage.onChanged` listener that routes changes to key-value
+ * storage areas with `onChanged` listeners, if it has not already been added.
+ * @private
+ */
+function initializeStorageChangeListener() {
+    if(storageChangeListenerInitialized) {
+        return;
+    }
+    storageChangeListenerInitialized = true;
+    browser.storage.onChanged.addListener((changes, areaName) => {
+        if(areaName !== "local") {
+            return;
         }
-        const initialCounterValue = await Counter.storage.get(this.counterName);
-        if(initialCounterValue !== null) {
-            this.counterValue = initialCounterValue;
+        // Storage areas registered in other extension contexts affect which keys
+        // belong to which storage areas
+        if((storageAreaNamesKey in changes) && Array.isArray(changes[storageAreaNamesKey].newValue)) {
+            getStorageAreaNamesFromEntries({ [storageAreaNamesKey]: changes[storageAreaNamesKey].newValue });
         }
-        else {
-            await Counter.storage.set(this.counterName, this.counterValue);
+        for(const storageArea of changeListenerStorageAreas) {
+            if(!storageArea.onChanged.hasAnyListeners()) {
+                changeListenerStorageAreas.delete(storageArea);
+                continue;
+            }
+            storageArea.notifyChangeListeners(changes);
         }
-        return this;
-    }
+    });
+}
+
+/**
+ * The key in extension local storage for the names of key-value storage areas that
+ * have been used.
+ * @constant {string}
+ * @private
+ */
+const storageAreaNamesKey = "webScience.storage.keyValueStorageAreaNames";
+
+/**
+ * The key in extension local storage for the names of key-value storage areas that
+ * have been used with encryption enabled.
+ * @constant {string}
+ * @private
+ */
+const encryptedStorageAreaNamesKey = "webScience.storage.keyValueStorageEncryptedAreaNames";
+
+/**
+ * The prefix for keys in extension local storage for values in key-value storage areas.
+ * @constant {string}
+ * @private
+ */
+const keyValueStoragePrefix = "webScience.storage.keyValueStorage.";
+
+/**
+ * The prefix for keys in extension local storage for the times entries in key-value
+ * storage areas were last set.
+ * @constant {string}
+ * @private
+ */
+const keyValueStorageWriteTimePrefix = "webScience.storage.keyValueStorageWriteTime.";
+
+/**
+ * The names of key-value storage areas that have been registered from this extension
+ * context.
+ * @constant {Set<string>}
+ * @private
+ */
+const registeredStorageAreaNames = new Set();
+
+/**
+ * The names of key-value storage areas with encryption enabled that have been
+ * registered from this extension context.
+ * @constant {Set<string>}
+ * @private
+ */
+const registeredEncryptedStorageAreaNames = new Set();
+
+/**
+ * The names of key-value storage areas that are known in this extension context,
+ * including storage areas registered from other extension contexts. Used for
+ * attributing keys in extension local storage to storage areas.
+ * @constant {Set<string>}
+ * @private
+ */
+const knownStorageAreaNames = new Set();
+
+/**
+ * A Promise that resolves once pending storage area registrations in this extension
+ * context are complete, so that concurrent registrations do not overwrite each other.
+ * @type {Promise}
+ * @private
+ */
+let storageAreaRegistrationPromise = Promise.resolve();
+
+/**
+ * Record the name of a key-value storage area in extension local storage, so that
+ * storage usage can be attributed to the storage area and keys in extension local
+ * storage can be attributed to storage areas with nested names. Storage areas with
+ * encryption enabled are also recorded as encrypted, so that storage archives can
+ * note which storage areas to encrypt on import.
+ * @param {string} storageAreaName - The name of the storage area.
+ * @param {boolean} [encryption=false] - Whether the storage area has encryption enabled.
+ * @private
+ */
+async function registerStorageArea(storageAreaName, encryption = false) {
+    const isRegistered = () => registeredStorageAreaNames.has(storageAreaName) &&
+        (!encryption || registeredEncryptedStorageAreaNames.has(storageAreaName));
+    if(isRegistered()) {
+        return;
+    }
+    knownStorageAreaNames.add(storageAreaName);
+    const registrationPromise = storageAreaRegistrationPromise.catch(() => { }).then(async () => {
+        if(isRegistered()) {
+            return;
+        }
+        const storageResult = await browser.storage.local.get({
+            [storageAreaNamesKey]: [ ],
+            [encryptedStorageAreaNamesKey]: [ ]
+        });
+        const items = { };
+        const storageAreaNames = getStorageAreaNamesFromEntries(storageResult);
+        if(!storageAreaNames.includes(storageAreaName)) {
+            storageAreaNames.push(storageAreaName);
+            items[storageAreaNamesKey] = storageAreaNames;
+        }
+        const encryptedStorageAreaNames = getEncryptedStorageAreaNamesFromEntries(storageResult);
+        if(encryption && !encryptedStorageAreaNames.includes(storageAreaName)) {
+            encryptedStorageAreaNames.push(storageAreaName);
+            items[encryptedStorageAreaNamesKey] = encryptedStorageAreaNames;
+        }
+        if(Object.keys(items).length > 0) {
+            await browser.storage.local.set(items);
+        }
+        registeredStorageAreaNames.add(storageAreaName);
+        if(encryption) {
+            registeredEncryptedStorageAreaNames.add(storageAreaName);
+        }
+    });
+    storageAreaRegistrationPromise = registrationPromise;
+    await registrationPromise;
+}
+
+/**
+ * Get the names of key-value storage areas that have been used.
+ * @returns {Promise<string[]>} The storage area names.
+ * @private
+ */
+async function getStorageAreaNames() {
+    const storageResult = await browser.storage.local.get({ [storageAreaNamesKey]: [ ] });
+    return getStorageAreaNamesFromEntries(storageResult);
+}
+
+/**
+ * Get the names of key-value storage areas that have been used, from the contents of
+ * extension local storage, and remember them as known storage area names.
+ * @param {Object} storageEntries - Entries in extension local storage, including the
+ * registered storage area names.
+ * @returns {string[]} The storage area names.
+ * @private
+ */
+function getStorageAreaNamesFromEntries(storageEntries) {
+    const storageAreaNames = Array.isArray(storageEntries[storageAreaNamesKey]) ? storageEntries[storageAreaNamesKey].slice() : [ ];
+    for(const storageAreaName of storageAreaNames) {
+        knownStorageAreaNames.add(storageAreaName);
+    }
+    for(const storageAreaName of knownStorageAreaNames) {
+        if(!storageAreaNames.includes(storageAreaName)) {
+            storageAreaNames.push(storageAreaName);
+        }
+    }
+    return storageAreaNames;
+}
+
+/**
+ * Get the names of key-value storage areas that have been used with encryption
+ * enabled, from the contents of extension local storage.
+ * @param {Object} storageEntries - Entries in extension local storage, including the
+ * registered encrypted storage area names.
+ * @returns {string[]} The encrypted storage area names.
+ * @private
+ */
+function getEncryptedStorageAreaNamesFromEntries(storageEntries) {
+    return Array.isArray(storageEntries[encryptedStorageAreaNamesKey]) ? storageEntries[encryptedStorageAreaNamesKey].slice() : [ ];
+}
+
+/**
+ * Estimate the size, in bytes, of a key-value pair in extension local storage,
+ * based on the UTF-8 encoded JSON serialization of the key and value.
+ * @param {string} key - The key.
+ * @param {*} value - The value.
+ * @returns {number} The estimated size.
+ * @private
+ */
+function estimateEntryBytes(key, value) {
+    const serializedValue = JSON.stringify(value);
+    return textEncoder.encode(key).length + (serializedValue !== undefined ? textEncoder.encode(serializedValue).length : 0);
+}
+
+/**
+ * A TextEncoder for estimating storage sizes and encrypting values.
+ * @constant {TextEncoder}
+ * @private
+ */
+const textEncoder = new TextEncoder();
+
+/**
+ * A TextDecoder for decrypting values.
+ * @constant {TextDecoder}
+ * @private
+ */
+const textDecoder = new TextDecoder();
+
+/**
+ * An encrypted value, as stored in extension local storage.
+ * @typedef {Object} EncryptedValue
+ * @property {number} webScienceEncrypted - The format version for the encrypted value.
+ * @property {string} keyId - The ID of the key used to encrypt the value.
+ * @property {string} iv - The Base64-encoded AES-GCM initialization vector.
+ * @property {string} ciphertext - The Base64-encoded AES-GCM ciphertext of the JSON
+ * serialization of the value.
+ * @private
+ */
+
+/**
+ * Check whether a value stored in extension local storage is an encrypted value.
+ * @param {*} storedValue - The stored value.
+ * @returns {boolean} Whether the value is an `EncryptedValue`.
+ * @private
+ */
+function isEncryptedValue(storedValue) {
+    return (typeof storedValue === "object") &&
+        (storedValue !== null) &&
+        (storedValue.webScienceEncrypted === 1) &&
+        (typeof storedValue.keyId === "string") &&
+        (typeof storedValue.iv === "string") &&
+        (typeof storedValue.ciphertext === "string");
+}
+
+/**
+ * Encode bytes as a Base64 string.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The Base64 string.
+ * @private
+ */
+function bytesToBase64(bytes) {
+    let binaryString = "";
+    for(let i = 0; i < bytes.length; i += 0x8000) {
+        binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binaryString);
+}
+
+/**
+ * Decode bytes from a Base64 string.
+ * @param {string} base64String - The Base64 string.
+ * @returns {Uint8Array} The bytes.
+ * @private
+ */
+function base64ToBytes(base64String) {
+    const binaryString = atob(base64String);
+    const bytes = new Uint8Array(binaryString.length);
+    for(let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * A record store for storage area encryption keys, or null if the record store has
+ * not been created.
+ * @type {RecordStore|null}
+ * @private
+ */
+let encryptionKeyStore = null;
+
+/**
+ * Get the record store for storage area encryption keys, creating it if necessary.
+ * @returns {RecordStore} The record store.
+ * @private
+ */
+function getEncryptionKeyStore() {
+    if(encryptionKeyStore === null) {
+        encryptionKeyStore = createRecordStore("webScience.storage.encryptionKeys", {
+            keyPath: "id",
+            indexes: [ "storageAreaName" ]
+        });
+    }
+    return encryptionKeyStore;
+}
+
+/**
+ * The cached encryption keys for a storage area in this extension context, shared by
+ * every KeyValueStorage object for the storage area.
+ * @typedef {Object} EncryptionState
+ * @property {Map<string, CryptoKey>} keys - The loaded keys, where keys are key IDs.
+ * @property {string|null} activeKeyId - The ID of the key for new values, or null if
+ * the active key has not been loaded.
+ * @property {Promise|null} activeKeyPromise - A Promise for loading or generating the
+ * active key, or null if the active key is not being loaded.
+ * @private
+ */
+
+/**
+ * The cached encryption keys in this extension context, where keys are storage area
+ * names. Cached keys are cleared after a key rotation in another extension context.
+ * @constant {Map<string, EncryptionState>}
+ * @private
+ */
+const encryptionStates = new Map();
+
+/**
+ * Get the cached encryption keys for a storage area, creating an empty cache if
+ * necessary.
+ * @param {string} storageAreaName - The name of the storage area.
+ * @returns {EncryptionState} The cached encryption keys.
+ * @private
+ */
+function getEncryptionState(storageAreaName) {
+    let encryptionState = encryptionStates.get(storageAreaName);
+    if(encryptionState === undefined) {
+        encryptionState = {
+            keys: new Map(),
+            activeKeyId: null,
+            activeKeyPromise: null
+        };
+        encryptionStates.set(storageAreaName, encryptionState);
+    }
+    return encryptionState;
+}
+
+/**
+ * A BroadcastChannel for notifying other extension contexts about encryption key
+ * rotations, or null if the channel has not been created or if BroadcastChannel is
+ * unavailable.
+ * @type {BroadcastChannel|null}
+ * @private
+ */
+let encryptionBroadcastChannel = null;
+
+/**
+ * Notify other extension contexts that the encryption key for a storage area has been
+ * rotated, so they stop using the previous key.
+ * @param {string} storageAreaName - The name of the storage area.
+ * @private
+ */
+function notifyEncryptionKeyRotation(storageAreaName) {
+    initializeEncryptionBroadcastChannel();
+    if(encryptionBroadcastChannel !== null) {
+        encryptionBroadcastChannel.postMessage({ storageAreaName });
+    }
+}
+
+/**
+ * Set up the BroadcastChannel for encryption key rotation notifications, if it has not
+ * already been set up.
+ * @private
+ */
+function initializeEncryptionBroadcastChannel() {
+    if((encryptionBroadcastChannel !== null) || (typeof BroadcastChannel !== "function")) {
+        return;
+    }
+    encryptionBroadcastChannel = new BroadcastChannel("webScience.storage.encryption");
+    encryptionBroadcastChannel.addEventListener("message", ({ data }) => {
+        if((typeof data !== "object") || (data === null) || (typeof data.storageAreaName !== "string")) {
+            return;
+        }
+        const encryptionState = encryptionStates.get(data.storageAreaName);
+        if(encryptionState !== undefined) {
+            encryptionState.keys.clear();
+            encryptionState.activeKeyId = null;
+        }
+    });
+}
+
+/**
+ * The key-value storage areas in this extension context that have retention policies.
+ * @constant {Set<KeyValueStorage>}
+ * @private
+ */
+const retentionStorageAreas = new Set();
+
+/**
+ * The idle state detection interval (in seconds) to use for background storage
+ * maintenance (enforcing retention policies and downsampling time series).
+ * @constant {number}
+ * @private
+ * @default
+ */
+const maintenanceIdleIntervalInSeconds = 180;
+
+/**
+ * The minimum time (in milliseconds) between background storage maintenance runs.
+ * @constant {number}
+ * @private
+ * @default
+ */
+const maintenanceInterval = 86400000;
+
+/**
+ * The prefix for keys in extension local storage for the times (in milliseconds since
+ * the epoch) when background storage maintenance last completed for each key-value
+ * storage area and time series.
+ * @constant {string}
+ * @private
+ */
+const lastMaintenanceTimePrefix = "webScience.storage.lastMaintenanceTime.";
+
+/**
+ * Whether background storage maintenance has been set up.
+ * @type {boolean}
+ * @private
+ */
+let maintenanceInitialized = false;
+
+/**
+ * Set up background storage maintenance, which runs when the browser is idle for each
+ * storage area and time series where at least a day has passed since maintenance last
+ * completed.
+ * @private
+ */
+function initializeMaintenance() {
+    if(maintenanceInitialized) {
+        return;
+    }
+    maintenanceInitialized = true;
+    idle.onStateChanged.addListener(async (newState) => {
+        if(newState !== "idle") {
+            return;
+        }
+        try {
+            await runMaintenance();
+        }
+        catch(error) {
+            debugLog.error(`Error running background storage maintenance: ${error}`);
+        }
+    }, {
+        detectionInterval: maintenanceIdleIntervalInSeconds
+    });
+}
+
+/**
+ * Run background storage maintenance for the key-value storage areas with retention
+ * policies and the time series in this extension context. Maintenance times are kept
+ * for each storage area and time series, since other extension contexts may have
+ * different storage areas and time series, and a maintenance time is only recorded
+ * once maintenance succeeds, so failed maintenance is attempted again.
+ * @returns {Promise} A Promise that resolves once maintenance is complete.
+ * @private
+ */
+async function runMaintenance() {
+    const maintenanceTasks = [ ];
+    for(const storageArea of retentionStorageAreas) {
+        maintenanceTasks.push({
+            lastMaintenanceTimeKey: `${lastMaintenanceTimePrefix}keyValueStorage.${storageArea.storageAreaName}`,
+            description: `enforcing retention policy for storage area ${storageArea.storageAreaName}`,
+            run: () => storageArea.enforceRetention()
+        });
+    }
+    for(const timeSeries of maintenanceTimeSeries) {
+        maintenanceTasks.push({
+            lastMaintenanceTimeKey: `${lastMaintenanceTimePrefix}timeSeries.${timeSeries.timeSeriesName}`,
+            description: `downsampling time series ${timeSeries.timeSeriesName}`,
+            run: () => timeSeries.downsample()
+        });
+    }
+    if(maintenanceTasks.length === 0) {
+        return;
+    }
+    const lastMaintenanceTimes = await browser.storage.local.get(maintenanceTasks.map(({ lastMaintenanceTimeKey }) => lastMaintenanceTimeKey));
+    for(const { lastMaintenanceTimeKey, description, run } of maintenanceTasks) {
+        const lastMaintenanceTime = (typeof lastMaintenanceTimes[lastMaintenanceTimeKey] === "number") ? lastMaintenanceTimes[lastMaintenanceTimeKey] : 0;
+        if(Date.now() < (lastMaintenanceTime + maintenanceInterval)) {
+            continue;
+        }
+        try {
+            await run();
+            await browser.storage.local.set({ [lastMaintenanceTimeKey]: Date.now() });
+        }
+        catch(error) {
+            debugLog.error(`Error ${description}: ${error}`);
+        }
+    }
+}
+
+/**
+ * Enforce the retention policies for all key-value storage areas with retention
+ * policies that have been created in this extension context. Retention policies are
+ * automatically enforced about once a day when the browser is idle, so studies
+ * usually do not need to call this function.
+ * @returns {Promise<number>} A Promise that resolves to the total number of evicted
+ * entries.
+ */
+export async function enforceRetentionPolicies() {
+    let evictedEntries = 0;
+    for(const storageArea of retentionStorageAreas) {
+        try {
+            evictedEntries += await storageArea.enforceRetention();
+        }
+        catch(error) {
+            debugLog.error(`Error enforcing retention policy for storage area ${storageArea.storageAreaName}: ${error}`);
+        }
+    }
+    return evictedEntries;
+}
+
+/**
+ * A report of storage usage.
+ * @typedef {Object} StorageUsage
+ * @property {Object<string, {entries: number, bytes: number}>} keyValueStorage - The
+ * number of entries and estimated size (in bytes) for each key-value storage area,
+ * including bookkeeping entries (e.g., retention write times).
+ * @property {number} otherExtensionLocalStorageBytes - The estimated size (in bytes)
+ * of extension local storage that is not attributable to a key-value storage area.
+ * @property {number|null} indexedDBBytes - The browser's estimate of storage used
+ * by the extension's origin, including IndexedDB record stores and counters, or null
+ * if the browser does not provide an estimate.
+ */
+
+/**
+ * Generate a report of storage usage, with the estimated size of each key-value
+ * storage area. Note that this function loads and iterates all key-value pairs in
+ * extension local storage, so it may have performance implications.
+ * @returns {Promise<StorageUsage>} A Promise that resolves to the storage usage report.
+ */
+export async function getUsage() {
+    const storageAreaNames = await getStorageAreaNames();
+    // Match storage areas with longer names first, since storage area names
+    // can be prefixes of other storage area names
+    storageAreaNames.sort((a, b) => b.length - a.length);
+    const keyValueStorage = { };
+    for(const storageAreaName of storageAreaNames) {
+        keyValueStorage[storageAreaName] = { entries: 0, bytes: 0 };
+    }
+    let otherExtensionLocalStorageBytes = 0;
+    const storageEntries = await browser.storage.local.get();
+    for(const storageKey in storageEntries) {
+        const bytes = estimateEntryBytes(storageKey, storageEntries[storageKey]);
+        const storageAreaName = storageAreaNames.find(storageAreaName => {
+            return storageKey.startsWith(`${keyValueStoragePrefix}${storageAreaName}.`) ||
+                storageKey.startsWith(`${keyValueStorageWriteTimePrefix}${storageAreaName}.`) ||
+                (storageKey === `webScience.storage.keyValueStorageVersion.${storageAreaName}`);
+        });
+        if(storageAreaName === undefined) {
+            otherExtensionLocalStorageBytes += bytes;
+            continue;
+        }
+        if(storageKey.startsWith(`${keyValueStoragePrefix}${storageAreaName}.`)) {
+            keyValueStorage[storageAreaName].entries++;
+        }
+        keyValueStorage[storageAreaName].bytes += bytes;
+    }
+
+    let indexedDBBytes = null;
+    if((typeof navigator === "object") && ("storage" in navigator) && (typeof navigator.storage.estimate === "function")) {
+        try {
+            indexedDBBytes = (await navigator.storage.estimate()).usage;
+        }
+        catch(error) {
+            indexedDBBytes = null;
+        }
+    }
+
+    return {
+        keyValueStorage,
+        otherExtensionLocalStorageBytes,
+        indexedDBBytes
+    };
+}
+
+/**
+ * Create a persistent counter. Calls with the same counter name in an extension context
+ * share one Counter object.
+ * @param {string} counterName - A name that uniquely identifies the counter.
+ * @returns {Counter} The Counter object.
+ */
+export async function createCounter(counterName) {
+    let counterPromise = counterInstances.get(counterName);
+    if(counterPromise === undefined) {
+        counterPromise = (new Counter(counterName)).initialize();
+        counterInstances.set(counterName, counterPromise);
+        // If initialization fails, allow a subsequent call to try again
+        counterPromise.catch(() => {
+            if(counterInstances.get(counterName) === counterPromise) {
+                counterInstances.delete(counterName);
+            }
+        });
+    }
+    return await counterPromise;
+}
+
+/**
+ * The name of the BroadcastChannel for synchronizing counter values between
+ * extension contexts (e.g., the background page and a popup).
+ * @constant {string}
+ * @private
+ */
+const counterBroadcastChannelName = "webScience.storage.counter";
+
+/**
+ * The prefix for keys in extension local storage for counter values, where counters
+ * were stored in earlier versions of this module.
+ * @constant {string}
+ * @private
+ */
+const legacyCounterPrefix = `${keyValueStoragePrefix}webScience.storage.counter.`;
+
+/**
+ * A BroadcastChannel for synchronizing counter values between extension contexts,
+ * or null if the channel has not been created or if BroadcastChannel is unavailable.
+ * @type {BroadcastChannel|null}
+ * @private
+ */
+let counterBroadcastChannel = null;
+
+/**
+ * A Map where each key is a counter name and each value is a Promise for the Counter
+ * object in this extension context with that name.
+ * @constant {Map<string, Promise<Counter>>}
+ * @private
+ */
+const counterInstances = new Map();
+
+/**
+ * A Map where each key is a counter name and each value is the initialized Counter
+ * object in this extension context with that name.
+ * @constant {Map<string, Counter>}
+ * @private
+ */
+const initializedCounters = new Map();
+
+/**
+ * A record for a counter in the counter record store.
+ * @typedef {Object} CounterRecord
+ * @property {string} name - The name of the counter.
+ * @property {number} value - The value of the counter.
+ * @property {number} revision - A number that increases with every change to the
+ * counter, used to order changes received from other extension contexts.
+ * @private
+ */
+
+/**
+ * Update the cached value of every Counter object in this extension context with
+ * a name, and notify their `onChanged` listeners.
+ * @param {string} counterName - The name of the counter.
+ * @param {number} oldValue - The counter value before the change.
+ * @param {number} newValue - The counter value after the change.
+ * @param {number} revision - The revision of the counter after the change.
+ * @private
+ */
+function applyCounterChange(counterName, oldValue, newValue, revision) {
+    const counter = initializedCounters.get(counterName);
+    // Ignore changes that are older than the cached value, since messages
+    // from other contexts can arrive out of order
+    if((counter === undefined) || (revision <= counter.counterRevision)) {
+        return;
+    }
+    counter.counterValue = newValue;
+    counter.counterRevision = revision;
+    counter.onChanged.notifyListeners([{
+        counterName,
+        oldValue,
+        newValue
+    }]);
+}
+
+/**
+ * Set up the BroadcastChannel for synchronizing counter values between extension
+ * contexts, if it has not already been set up.
+ * @private
+ */
+function initializeCounterBroadcastChannel() {
+    if((counterBroadcastChannel !== null) || (typeof BroadcastChannel !== "function")) {
+        return;
+    }
+    counterBroadcastChannel = new BroadcastChannel(counterBroadcastChannelName);
+    counterBroadcastChannel.addEventListener("message", ({ data }) => {
+        if((typeof data === "object") && (data !== null) && (typeof data.counterName === "string")) {
+            applyCounterChange(data.counterName, data.oldValue, data.newValue, data.revision);
+        }
+    });
+}
+
+/**
+ * @typedef {Object} CounterChangeDetails
+ * @property {string} counterName - The name of the counter.
+ * @property {number} oldValue - The counter value before the change.
+ * @property {number} newValue - The counter value after the change.
+ */
+
+/**
+ * @callback counterChangeListener
+ * @param {CounterChangeDetails} details - Details about the change.
+ */
+
+/**
+ * A record store for counters, or null if the record store has not been created.
+ * @type {RecordStore|null}
+ * @private
+ */
+let counterStore = null;
+
+/**
+ * Get the record store for counters, creating it if necessary.
+ * @returns {RecordStore} The record store.
+ * @private
+ */
+function getCounterStore() {
+    if(counterStore === null) {
+        counterStore = createRecordStore("webScience.storage.counter", {
+            keyPath: "name"
+        });
+    }
+    return counterStore;
+}
+
+/**
+ * Class for maintaining persistent counters (e.g., unique IDs). Counter values are
+ * stored in IndexedDB, and every change is an atomic read-modify-write transaction,
+ * so counters with the same name in different extension contexts (e.g., the background
+ * page and a popup) do not overwrite each other's changes. Changes are broadcast to
+ * other extension contexts, which keeps cached counter values in sync.
+ */
+class Counter {
+    /**
+     * Create a persistent counter. Note that, because creating a counter
+     * requires asynchronous calls (which cannot happen in a constructor),
+     * the counter will not be setup until a subsequent call to `initialize()`.
+     * @param {string} counterName - A name that uniquely identifies the counter.
+     * @example var exampleCounter = await (new Counter("exampleName")).initialize();
+     */
+    constructor(counterName) {
+        this.counterName = counterName;
+        this.counterValue = 0;
+        this.counterRevision = -1;
+        /**
+         * An event that fires when the value of the counter changes, including
+         * changes in other extension contexts.
+         * @type {events.Event<counterChangeListener, undefined>}
+         */
+        this.onChanged = events.createEvent({
+            name: "webScience.storage.counter.onChanged"
+        });
+    }
+
+    /**
+     * Complete creation of the persistent counter. Returns itself for convenience.
+     * @returns {Object} The persistent counter.
+     */
+    async initialize() {
+        if(Counter.storage === null) {
+            Counter.storage = getCounterStore();
+        }
+        // Migrate a counter value from extension local storage, where counters
+        // were stored in earlier versions of this module. The value is read from
+        // extension local storage directly, rather than with a KeyValueStorage
+        // object, so that the legacy storage area is not registered.
+        const legacyCounterKey = `${legacyCounterPrefix}${this.counterName}`;
+        const legacyStorageResult = await browser.storage.local.get(legacyCounterKey);
+        const legacyCounterValue = (legacyCounterKey in legacyStorageResult) ? legacyStorageResult[legacyCounterKey] : null;
+        const counterRecord = await Counter.storage.update(this.counterName, currentCounterRecord => {
+            if(currentCounterRecord !== null) {
+                return undefined;
+            }
+            return {
+                name: this.counterName,
+                value: legacyCounterValue !== null ? legacyCounterValue : 0,
+                revision: 0
+            };
+        });
+        if(legacyCounterKey in legacyStorageResult) {
+            await browser.storage.local.remove(legacyCounterKey);
+        }
+        this.counterValue = counterRecord.value;
+        this.counterRevision = counterRecord.revision;
+
+        initializeCounterBroadcastChannel();
+        initializedCounters.set(this.counterName, this);
+        return this;
+    }
+
+    /**
+     * Atomically update the stored value of the counter, then update cached values
+     * and notify listeners in this and other extension contexts.
+     * @param {Function} updateFunction - A function that receives the current stored
+     * value of the counter and returns the new value, or returns undefined to leave
+     * the value unchanged.
+     * @returns {Promise<{oldValue: number, newValue: number}>} The counter value before
+     * and after the update.
+     * @private
+     */
+    async updateValue(updateFunction) {
+        let oldValue = null;
+        const counterRecord = await Counter.storage.update(this.counterName, currentCounterRecord => {
+            oldValue = currentCounterRecord !== null ? currentCounterRecord.value : 0;
+            const newValue = updateFunction(oldValue);
+            if((newValue === undefined) || (newValue === oldValue)) {
+                return undefined;
+            }
+            return {
+                name: this.counterName,
+                value: newValue,
+                revision: currentCounterRecord !== null ? currentCounterRecord.revision + 1 : 0
+            };
+        });
+        const newValue = counterRecord.value;
+        if(newValue !== oldValue) {
+            applyCounterChange(this.counterName, oldValue, newValue, counterRecord.revision);
+            if(counterBroadcastChannel !== null) {
+                counterBroadcastChannel.postMessage({
+                    counterName: this.counterName,
+                    oldValue,
+                    newValue,
+                    revision: counterRecord.revision
+                });
+            }
+        }
+        return { oldValue, newValue };
+    }
+
+    /**
+     * Get the current value of the counter. The value is cached in memory, which allows
+     * this function to be synchronous. Changes in other extension contexts are reflected
+     * in the cached value shortly after they are stored.
+     * @returns {number} The current value of the counter.
+     */
+    get() {
+        return this.counterValue;
+    }
+
+    /**
+     * Increment the value of the counter by a number and return the incremented value.
+     * The stored counter value is atomically incremented.
+     * @param {number} incrementValue - The amount to increment the counter.
+     * @returns {Promise<number>} - The counter value after incrementing.
+     */
+    async incrementByAndGet(incrementValue) {
+        const { newValue } = await this.updateValue(currentValue => currentValue + incrementValue);
+        return newValue;
+    }
+
+    /**
+     * Increment the value of the counter, ignoring the value. Identical to
+     * the Promise returned by `counter.incrementByAndGet.then(value => return)`.
+     * @param {number} incrementValue - The amount to increment the counter.
+     */
+    async incrementBy(incrementValue) {
+        await this.incrementByAndGet(incrementValue);
+        return;
+    }
+
+    /**
+     * Increment the value of the counter and return the incremented value.
+     * The stored counter value is atomically incremented.
+     * @returns {Promise<number>} - The counter value after incrementing.
+     */
+    async incrementAndGet() {
+        return await this.incrementByAndGet(1);
+    }
+
+    /**
+     * Increment the value of the counter and return the value prior to
+     * incrementing.
+     * @returns {Promise<number>} - The counter value before incrementing.
+     */
+    async getAndIncrement() {
+        const { oldValue } = await this.updateValue(currentValue => currentValue + 1);
+        return oldValue;
+    }
+
+    /**
+     * Increment the value of the counter, ignoring the value. Identical to
+     * the Promise returned by `counter.incrementAndGet.then(value => return)`.
+     */
+    async increment() {
+        await this.incrementAndGet();
+        return;
+    }
+
+    /**
+     * Decrement the value of the counter by a number and return the decremented value.
+     * The stored counter value is atomically decremented.
+     * @param {number} decrementValue - The amount to decrement the counter.
+     * @returns {Promise<number>} - The counter value after decrementing.
+     */
+    async decrementByAndGet(decrementValue) {
+        return await this.incrementByAndGet(-decrementValue);
+    }
+
+    /**
+     * Decrement the value of the counter, ignoring the value. Identical to
+     * the Promise returned by `counter.decrementByAndGet.then(value => return)`.
+     * @param {number} decrementValue - The amount to decrement the counter.
+     */
+    async decrementBy(decrementValue) {
+        await this.decrementByAndGet(decrementValue);
+        return;
+    }
+
+    /**
+     * Decrement the value of the counter and return the decremented value.
+     * The stored counter value is atomically decremented.
+     * @returns {Promise<number>} - The counter value after decrementing.
+     */
+    async decrementAndGet() {
+        return await this.decrementByAndGet(1);
+    }
+
+    /**
+     * Decrement the value of the counter and return the value prior to
+     * decrementing.
+     * @returns {Promise<number>} - The counter value before decrementing.
+     */
+    async getAndDecrement() {
+        const { oldValue } = await this.updateValue(currentValue => currentValue - 1);
+        return oldValue;
+    }
+
+    /**
+     * Decrement the value of the counter, ignoring the value. Identical to
+     * the Promise returned by `counter.decrementAndGet.then(value => return)`.
+     */
+    async decrement() {
+        await this.decrementAndGet();
+        return;
+    }
+
+    /**
+     * Atomically set the value of the counter, if the stored value is equal to
+     * an expected value.
+     * @param {number} expectedValue - The expected current value of the counter.
+     * @param {number} newValue - The value to set if the current value is equal to
+     * the expected value.
+     * @returns {Promise<boolean>} - Whether the current value was equal to the expected
+     * value (i.e., whether the value was set).
+     */
+    async compareAndSet(expectedValue, newValue) {
+        const { oldValue } = await this.updateValue(currentValue => {
+            return currentValue === expectedValue ? newValue : undefined;
+        });
+        return oldValue === expectedValue;
+    }
+
+    /**
+     * Reset the value of the counter to 0 and return the value prior to resetting.
+     * The stored counter value is atomically reset.
+     * @returns {Promise<number>} - The counter value before resetting.
+     */
+    async getAndReset() {
+        const { oldValue } = await this.updateValue(() => 0);
+        return oldValue;
+    }
+}
+
+// Workaround for static class variables
+Counter.storage = null;
+
+/**
+ * The format identifier for storage archives.
+ * @constant {string}
+ * @private
+ */
+const archiveFormat = "webScience.storage.archive";
+
+/**
+ * The current version of the storage archive format.
+ * @constant {number}
+ * @private
+ */
+const archiveFormatVersion = 1;
+
+/**
+ * A portable archive of WebScience storage. Values in encrypted storage areas are
+ * decrypted in the archive, and are encrypted again on import.
+ * @typedef {Object} StorageArchive
+ * @property {string} format - The format identifier, "webScience.storage.archive".
+ * @property {number} version - The version of the archive format.
+ * @property {number} exportTime - When the archive was generated, in milliseconds
+ * since the epoch.
+ * @property {Object<string, {version: number, encrypted: boolean, entries: Object}>} keyValueStorage -
+ * The key-value storage areas, where each property is a storage area name and each
+ * value has the storage area's applied schema version, whether the storage area has
+ * encryption enabled, and the storage area's entries.
+ * @property {Object<string, number>} counters - The counters, where each property is
+ * a counter name and each value is a counter value.
+ * @property {Object} extensionLocalStorage - Other WebScience state in extension local
+ * storage (e.g., selected randomization conditions), where each property is a key in
+ * extension local storage.
+ */
+
+/**
+ * The KeyValueStorage objects used for exporting and importing storage archives, where
+ * keys are storage area names. Objects are reused across exports and imports, so that
+ * each storage area is only set up once in this extension context.
+ * @constant {Map<string, KeyValueStorage>}
+ * @private
+ */
+const archiveStorageAreas = new Map();
+
+/**
+ * Get the KeyValueStorage object for exporting or importing a storage area.
+ * @param {string} storageAreaName - The name of the storage area.
+ * @param {boolean} [encryption=false] - Whether imported values should be encrypted.
+ * @returns {KeyValueStorage} The KeyValueStorage object.
+ * @private
+ */
+function getArchiveStorageArea(storageAreaName, encryption = false) {
+    let storageArea = archiveStorageAreas.get(storageAreaName);
+    // An object with encryption enabled can also read unencrypted values, so it can
+    // replace an object without encryption
+    if((storageArea === undefined) || (encryption && !storageArea.encryption)) {
+        storageArea = new KeyValueStorage(storageAreaName, { encryption });
+        archiveStorageAreas.set(storageAreaName, storageArea);
+    }
+    return storageArea;
+}
+
+/**
+ * Check whether a key in extension local storage is other WebScience state that should
+ * be included in storage archives. Key-value storage areas and storage module bookkeeping
+ * (e.g., write times for retention policies) are excluded, as are persisted debugging logs,
+ * which are only exported with `debugging.exportLogs` (with URLs redacted by default).
+ * @param {string} storageKey - The key in extension local storage.
+ * @returns {boolean} Whether to include the key in storage archives.
+ * @private
+ */
+function isArchivableExtensionLocalStorageKey(storageKey) {
+    return storageKey.startsWith("webScience.") && !storageKey.startsWith("webScience.storage.") &&
+        !storageKey.startsWith("webScience.debugging.");
+}
+
+/**
+ * Export WebScience storage as a portable, versioned archive, for example so that
+ * participants can download their study data or so that developers can restore state
+ * in a test profile. The archive includes key-value storage areas (including areas used
+ * by WebScience modules, such as scheduling timestamps), counters, and other WebScience
+ * state in extension local storage (such as selected randomization conditions). Record
+ * stores are not included. Note that this function loads and iterates all key-value pairs
+ * in extension local storage, so it may have performance implications.
+ * @param {Object} [options] - Options for the export.
+ * @param {string[]} [options.storageAreaNames] - The names of key-value storage areas
+ * to include in the archive. If not specified, all storage areas are included.
+ * @param {boolean} [options.counters=true] - Whether to include counters in the archive.
+ * @param {boolean} [options.extensionLocalStorage=true] - Whether to include other
+ * WebScience state in extension local storage in the archive.
+ * @param {string} [options.format="json"] - The archive serialization, either "json"
+ * (a single `StorageArchive` object) or "ndjson" (newline-delimited JSON, with a header
+ * line followed by one line per stored value).
+ * @returns {Promise<string>} A Promise that resolves to the serialized archive.
+ * @example
+ * // Export a study's data for a participant to download
+ * const archive = await storage.exportAll({
+ *   storageAreaNames: [ "pageVisits", "surveyResponses" ]
+ * });
+ * const url = URL.createObjectURL(new Blob([ archive ], { type: "application/json" }));
+ * browser.downloads.download({ url, filename: "study-data.json" });
+ */
+export async function exportAll({
+    storageAreaNames = null,
+    counters = true,
+    extensionLocalStorage = true,
+    format = "json"
+} = { }) {
+    if((format !== "json") && (format !== "ndjson")) {
+        throw new Error(`Unsupported storage archive serialization: ${format}`);
+    }
+    const archive = {
+        format: archiveFormat,
+        version: archiveFormatVersion,
+        exportTime: Date.now(),
+        keyValueStorage: { },
+        counters: { },
+        extensionLocalStorage: { }
+    };
+
+    const storageEntries = await browser.storage.local.get();
+    const allStorageAreaNames = getStorageAreaNamesFromEntries(storageEntries);
+    const encryptedStorageAreaNames = getEncryptedStorageAreaNamesFromEntries(storageEntries);
+    let exportedStorageAreaNames = allStorageAreaNames;
+    if(Array.isArray(storageAreaNames)) {
+        exportedStorageAreaNames = exportedStorageAreaNames.filter(storageAreaName => storageAreaNames.includes(storageAreaName));
+    }
+    for(const storageAreaName of exportedStorageAreaNames) {
+        const storageArea = getArchiveStorageArea(storageAreaName);
+        const versionKey = storageArea.versionExtensionLocalStorageKey();
+        const storageAreaArchive = {
+            version: versionKey in storageEntries ? storageEntries[versionKey] : 0,
+            encrypted: encryptedStorageAreaNames.includes(storageAreaName),
+            entries: { }
+        };
+        for(const storageKey in storageEntries) {
+            const key = storageArea.extensionLocalStorageKeyToKey(storageKey, allStorageAreaNames);
+            if(key !== null) {
+                const value = await storageArea.decodeValue(key, storageEntries[storageKey]);
+                if(value !== undefined) {
+                    storageAreaArchive.entries[key] = value;
+                }
+            }
+        }
+        archive.keyValueStorage[storageAreaName] = storageAreaArchive;
+    }
+
+    if(counters) {
+        for(const counterRecord of await getCounterStore().getAll()) {
+            archive.counters[counterRecord.name] = counterRecord.value;
+        }
+    }
+
+    if(extensionLocalStorage) {
+        for(const storageKey in storageEntries) {
+            if(isArchivableExtensionLocalStorageKey(storageKey)) {
+                archive.extensionLocalStorage[storageKey] = storageEntries[storageKey];
+            }
+        }
+    }
+
+    if(format === "json") {
+        return JSON.stringify(archive);
+    }
+    const lines = [ JSON.stringify({
+        format: archive.format,
+        version: archive.version,
+        exportTime: archive.exportTime
+    }) ];
+    for(const storageAreaName in archive.keyValueStorage) {
+        const storageAreaArchive = archive.keyValueStorage[storageAreaName];
+        lines.push(JSON.stringify({
+            type: "keyValueStorage",
+            storageAreaName,
+            version: storageAreaArchive.version,
+            encrypted: storageAreaArchive.encrypted
+        }));
+        for(const key in storageAreaArchive.entries) {
+            lines.push(JSON.stringify({
+                type: "keyValueStorageEntry",
+                storageAreaName,
+                key,
+                value: storageAreaArchive.entries[key]
+            }));
+        }
+    }
+    for(const counterName in archive.counters) {
+        lines.push(JSON.stringify({
+            type: "counter",
+            counterName,
+            value: archive.counters[counterName]
+        }));
+    }
+    for(const key in archive.extensionLocalStorage) {
+        lines.push(JSON.stringify({
+            type: "extensionLocalStorage",
+            key,
+            value: archive.extensionLocalStorage[key]
+        }));
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Parse a serialized storage archive, in either JSON or NDJSON serialization.
+ * @param {string} serializedArchive - The serialized archive.
+ * @returns {StorageArchive} The parsed archive.
+ * @private
+ */
+function parseArchive(serializedArchive) {
+    // JSON serialization
+    try {
+        return JSON.parse(serializedArchive);
+    }
+    catch(error) {
+        // Fall through to NDJSON serialization
+    }
+    // NDJSON serialization
+    const lines = serializedArchive.split("\n").filter(line => line.trim() !== "");
+    const header = JSON.parse(lines[0]);
+    const archive = {
+        format: header.format,
+        version: header.version,
+        exportTime: header.exportTime,
+        keyValueStorage: { },
+        counters: { },
+        extensionLocalStorage: { }
+    };
+    for(const line of lines.slice(1)) {
+        const item = JSON.parse(line);
+        if(item.type === "keyValueStorage") {
+            archive.keyValueStorage[item.storageAreaName] = {
+                version: item.version,
+                encrypted: item.encrypted,
+                entries: { }
+            };
+        }
+        else if(item.type === "keyValueStorageEntry") {
+            if(!(item.storageAreaName in archive.keyValueStorage)) {
+                throw new Error(`The storage archive has an entry for an unknown storage area: ${item.storageAreaName}`);
+            }
+            archive.keyValueStorage[item.storageAreaName].entries[item.key] = item.value;
+        }
+        else if(item.type === "counter") {
+            archive.counters[item.counterName] = item.value;
+        }
+        else if(item.type === "extensionLocalStorage") {
+            archive.extensionLocalStorage[item.key] = item.value;
+        }
+        else {
+            throw new Error(`The storage archive has an item with an unknown type: ${item.type}`);
+        }
+    }
+    return archive;
+}
+
+/**
+ * Import WebScience storage from an archive generated by `exportAll`. Imported values
+ * replace existing values with the same keys. Values in storage areas that had
+ * encryption enabled when exported, or that have encryption enabled in this
+ * installation, are encrypted with this installation's keys.
+ * @param {string|StorageArchive} archive - The archive, either serialized (JSON or
+ * NDJSON) or as an object.
+ * @param {Object} [options] - Options for the import.
+ * @param {string[]} [options.storageAreaNames] - The names of key-value storage areas
+ * to import from the archive. If not specified, all storage areas in the archive are
+ * imported.
+ * @param {boolean} [options.counters=true] - Whether to import counters.
+ * @param {boolean} [options.extensionLocalStorage=true] - Whether to import other
+ * WebScience state in extension local storage.
+ * @param {boolean} [options.clear=false] - Whether to clear each imported storage area
+ * before importing its entries.
+ * @returns {Promise} A Promise that resolves once the import is complete.
+ * @throws {Error} If the archive is not a supported storage archive.
+ */
+export async function importAll(archive, {
+    storageAreaNames = null,
+    counters = true,
+    extensionLocalStorage = true,
+    clear = false
+} = { }) {
+    if(typeof archive === "string") {
+        archive = parseArchive(archive);
+    }
+    if((typeof archive !== "object") || (archive === null) || (archive.format !== archiveFormat)) {
+        throw new Error("The storage archive is not in a supported format.");
+    }
+    if(archive.version > archiveFormatVersion) {
+        throw new Error(`The storage archive version ${archive.version} is newer than the supported version ${archiveFormatVersion}.`);
+    }
+
+    archive = Object.assign({
+        keyValueStorage: { },
+        counters: { },
+        extensionLocalStorage: { }
+    }, archive);
+
+    const encryptedStorageAreaNames = getEncryptedStorageAreaNamesFromEntries(
+        await browser.storage.local.get({ [encryptedStorageAreaNamesKey]: [ ] }));
+    for(const storageAreaName in archive.keyValueStorage) {
+        if(Array.isArray(storageAreaNames) && !storageAreaNames.includes(storageAreaName)) {
+            continue;
+        }
+        const storageAreaArchive = archive.keyValueStorage[storageAreaName];
+        const storageArea = getArchiveStorageArea(storageAreaName,
+            (storageAreaArchive.encrypted === true) || encryptedStorageAreaNames.includes(storageAreaName));
+        if(clear) {
+            await storageArea.clear();
+        }
+        else {
+            await storageArea.ensureWritable();
+        }
+        const items = { };
+        for(const key in storageAreaArchive.entries) {
+            items[storageArea.keyToExtensionLocalStorageKey(key)] = await storageArea.encodeValue(key, storageAreaArchive.entries[key]);
+        }
+        if(storageAreaArchive.version > 0) {
+            items[storageArea.versionExtensionLocalStorageKey()] = storageAreaArchive.version;
+        }
+        await browser.storage.local.set(items);
+    }
+
+    if(counters) {
+        for(const counterName in archive.counters) {
+            const counter = await createCounter(counterName);
+            await counter.updateValue(() => archive.counters[counterName]);
+        }
+    }
+
+    if(extensionLocalStorage) {
+        const items = { };
+        for(const key in archive.extensionLocalStorage) {
+            if(isArchivableExtensionLocalStorageKey(key)) {
+                items[key] = archive.extensionLocalStorage[key];
+            }
+        }
+        await browser.storage.local.set(items);
+    }
+}
+
+/**
+ * An index on a property of the records in a record store.
+ * @typedef {Object} RecordStoreIndex
+ * @property {string} name - A name that uniquely identifies the index within the
+ * record store.
+ * @property {string|string[]} [keyPath] - The key path for the index. Defaults to
+ * the index name.
+ * @property {boolean} [unique=false] - Whether the index should require unique values.
+ * @property {boolean} [multiEntry=false] - Whether the index should add an entry for
+ * each element when the key path resolves to an array.
+ */
+
+/**
+ * A query for records in a record store. If none of `only`, `lowerBound`, or
+ * `upperBound` is specified, the query matches every record.
+ * @typedef {Object} RecordStoreQuery
+ * @property {string} [index] - The name of the index to query. If no index is
+ * specified, the query uses the record store's key path.
+ * @property {*} [only] - Match only records with this key.
+ * @property {*} [lowerBound] - Match only records with keys greater than (or equal
+ * to) this key.
+ * @property {*} [upperBound] - Match only records with keys less than (or equal to)
+ * this key.
+ * @property {boolean} [lowerOpen=false] - Whether to exclude records with keys equal
+ * to `lowerBound`.
+ * @property {boolean} [upperOpen=false] - Whether to exclude records with keys equal
+ * to `upperBound`.
+ * @property {string} [direction="next"] - The order for iterating records, either
+ * "next" (ascending key order) or "prev" (descending key order).
+ * @property {number} [limit] - The maximum number of records to match.
+ */
+
+/**
+ * The name of the IndexedDB object store in each record store database.
+ * @constant {string}
+ * @private
+ */
+const recordStoreObjectStoreName = "records";
+
+/**
+ * Create a record storage area, backed by IndexedDB. Unlike key-value storage areas,
+ * record stores can efficiently query large numbers of records with secondary indexes.
+ * The underlying database is opened when the record store is first used, and indexes
+ * are automatically added or removed to match the `indexes` option.
+ * @param {string} storeName - A name that uniquely identifies the record store.
+ * @param {Object} [options] - Options for the record store.
+ * @param {string|string[]} [options.keyPath="id"] - The key path for records in the
+ * record store. The key path cannot change after the record store is first created.
+ * @param {Array<string|RecordStoreIndex>} [options.indexes=[]] - Secondary indexes for
+ * records in the record store. A string is shorthand for an index where the name and
+ * the key path are the same.
+ * @returns {RecordStore} The new RecordStore object.
+ * @example
+ * const pageDataStore = storage.createRecordStore("pageData", {
+ *   keyPath: "pageId",
+ *   indexes: [ "pageVisitStartTime", "url" ]
+ * });
+ * pageNavigation.onPageData.addListener(pageData => {
+ *   pageDataStore.put(pageData);
+ * }, {
+ *   matchPatterns: [ "<all_urls>" ]
+ * });
+ * // Page visits from the past day
+ * const recentPageData = await pageDataStore.getAll({
+ *   index: "pageVisitStartTime",
+ *   lowerBound: Date.now() - 86400000
+ * });
+ */
+export function createRecordStore(storeName, { keyPath = "id", indexes = [] } = { }) {
+    return new RecordStore(storeName, keyPath, indexes);
+}
+
+/**
+ * Convert an IndexedDB request to a Promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise} A Promise that resolves to the result of the request, or that is
+ * rejected with the error for the request.
+ * @private
+ */
+function indexedDBRequestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => { resolve(request.result); };
+        request.onerror = () => { reject(request.error); };
+    });
+}
+
+/**
+ * Convert an IndexedDB transaction to a Promise.
+ * @param {IDBTransaction} transaction - The transaction.
+ * @returns {Promise} A Promise that resolves when the transaction completes, or that is
+ * rejected if the transaction fails or is aborted.
+ * @private
+ */
+function indexedDBTransactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => { resolve(); };
+        transaction.onerror = () => { reject(transaction.error); };
+        transaction.onabort = () => { reject(transaction.error); };
+    });
+}
+
+/**
+ * Open an IndexedDB database.
+ * @param {string} databaseName - The name of the database.
+ * @param {number} [version] - The version of the database. If no version is specified,
+ * the current version is opened.
+ * @param {Function} onUpgradeNeeded - A function that is called with the database
+ * when the database is created or upgraded.
+ * @returns {Promise<IDBDatabase>} The opened database.
+ * @private
+ */
+function openIndexedDB(databaseName, version, onUpgradeNeeded) {
+    const request = version === undefined ? indexedDB.open(databaseName) : indexedDB.open(databaseName, version);
+    request.onupgradeneeded = () => {
+        onUpgradeNeeded(request.result, request.transaction);
+    };
+    return indexedDBRequestToPromise(request);
+}
+
+/**
+ * Convert a record store query to an IndexedDB key range.
+ * @param {RecordStoreQuery} query - The query.
+ * @returns {IDBKeyRange|null} The key range for the query, or null if the query
+ * matches every record.
+ * @private
+ */
+function recordStoreQueryToKeyRange({
+    only,
+    lowerBound,
+    upperBound,
+    lowerOpen = false,
+    upperOpen = false
+}) {
+    if(only !== undefined) {
+        return IDBKeyRange.only(only);
+    }
+    if((lowerBound !== undefined) && (upperBound !== undefined)) {
+        return IDBKeyRange.bound(lowerBound, upperBound, lowerOpen, upperOpen);
+    }
+    if(lowerBound !== undefined) {
+        return IDBKeyRange.lowerBound(lowerBound, lowerOpen);
+    }
+    if(upperBound !== undefined) {
+        return IDBKeyRange.upperBound(upperBound, upperOpen);
+    }
+    return null;
+}
 
+/**
+ * Class for a record storage area, where each record is an object with a key at
+ * the record store's key path. Records can be queried by key or by secondary index.
+ * Use the `createRecordStore` function to create a RecordStore object.
+ */
+class RecordStore {
     /**
-     * Get the current value of the counter. The value is cached in memory, which allows
-     * this function to be synchronous.
-     * @returns {number} The current value of the counter.
+     * Create a record storage area. Storage is implemented with IndexedDB, using one
+     * database per record store.
+     * @param {string} storeName - A name that uniquely identifies the record store.
+     * @param {string|string[]} keyPath - The key path for records in the record store.
+     * @param {Array<string|RecordStoreIndex>} indexes - Secondary indexes for records
+     * in the record store.
+     * @private
      */
-    get() {
-        return this.counterValue;
+    constructor(storeName, keyPath, indexes) {
+        this.storeName = storeName;
+        this.databaseName = `webScience.storage.recordStore.${storeName}`;
+        this.keyPath = keyPath;
+        this.indexes = indexes.map(index => {
+            if(typeof index === "string") {
+                index = { name: index };
+            }
+            return {
+                name: index.name,
+                keyPath: "keyPath" in index ? index.keyPath : index.name,
+                unique: "unique" in index ? index.unique : false,
+                multiEntry: "multiEntry" in index ? index.multiEntry : false
+            };
+        });
+        this.databasePromise = null;
     }
 
     /**
-     * Increment the value of the counter by a number and return the incremented value.
-     * The cached counter value is synchronously incremented; the stored
-     * counter value is asynchronously incremented.
-     * @param {number} incrementValue - The amount to increment the counter.
-     * @returns {Promise<number>} - The counter value after incrementing.
+     * Get the database for the record store, opening (and if necessary creating or
+     * upgrading) the database if it is not already open.
+     * @returns {Promise<IDBDatabase>} The database for the record store.
+     * @private
      */
-    async incrementByAndGet(incrementValue) {
-        const currentCounterValue = (this.counterValue = this.counterValue + incrementValue);
-        await Counter.storage.set(this.counterName, this.counterValue);
-        return currentCounterValue;
+    getDatabase() {
+        if(this.databasePromise === null) {
+            this.databasePromise = this.openDatabase();
+            // If opening fails, allow a subsequent attempt
+            this.databasePromise.catch(() => {
+                this.databasePromise = null;
+            });
+        }
+        return this.databasePromise;
     }
 
     /**
-     * Increment the value of the counter, ignoring the value. Identical to
-     * the Promise returned by `counter.incrementByAndGet.then(value => return)`.
-     * @param {number} incrementValue - The amount to increment the counter.
+     * Open the database for the record store. If the database's indexes do not match
+     * the record store's indexes, the database is reopened with an incremented version
+     * so that the indexes can be updated.
+     * @returns {Promise<IDBDatabase>} The database for the record store.
+     * @private
      */
-    async incrementBy(incrementValue) {
-        await this.incrementByAndGet(incrementValue);
-        return;
+    async openDatabase() {
+        const onUpgradeNeeded = this.upgradeDatabase.bind(this);
+        let database = await openIndexedDB(this.databaseName, undefined, onUpgradeNeeded);
+        const objectStoreKeyPath = database.transaction(recordStoreObjectStoreName).objectStore(recordStoreObjectStoreName).keyPath;
+        if(JSON.stringify(objectStoreKeyPath) !== JSON.stringify(this.keyPath)) {
+            database.close();
+            throw new Error(`Record store ${this.storeName} has key path ${JSON.stringify(objectStoreKeyPath)}, which does not match ${JSON.stringify(this.keyPath)}.`);
+        }
+        if(this.databaseNeedsUpgrade(database)) {
+            const upgradedVersion = database.version + 1;
+            database.close();
+            database = await openIndexedDB(this.databaseName, upgradedVersion, onUpgradeNeeded);
+        }
+        // If another extension context needs to upgrade the database, close it
+        // here and reopen it on next use
+        database.onversionchange = () => {
+            database.close();
+            this.databasePromise = null;
+        };
+        return database;
     }
 
     /**
-     * Increment the value of the counter and return the incremented value.
-     * The cached counter value is synchronously incremented; the stored
-     * counter value is asynchronously incremented.
-     * @returns {Promise<number>} - The counter value after incrementing.
+     * Check whether the indexes in the database match the record store's indexes.
+     * @param {IDBDatabase} database - The database.
+     * @returns {boolean} Whether the database needs to be upgraded.
+     * @private
      */
-    async incrementAndGet() {
-        // Saving the current counter value to avoid race conditions during
-        // the asynchronous save to storage
-        const currentCounterValue = (this.counterValue = this.counterValue + 1);
-        await Counter.storage.set(this.counterName, this.counterValue);
-        return currentCounterValue;
+    databaseNeedsUpgrade(database) {
+        const objectStore = database.transaction(recordStoreObjectStoreName).objectStore(recordStoreObjectStoreName);
+        if(objectStore.indexNames.length !== this.indexes.length) {
+            return true;
+        }
+        for(const index of this.indexes) {
+            if(!objectStore.indexNames.contains(index.name)) {
+                return true;
+            }
+            const databaseIndex = objectStore.index(index.name);
+            if((JSON.stringify(databaseIndex.keyPath) !== JSON.stringify(index.keyPath)) ||
+               (databaseIndex.unique !== index.unique) ||
+               (databaseIndex.multiEntry !== index.multiEntry)) {
+                return true;
+            }
+        }
+        return false;
     }
 
     /**
-     * Increment the value of the counter and return the value prior to
-     * incrementing. Identical to the Promise returned by
-     * `counter.incrementAndGet().then(value => return value - 1)`.
-     * @returns {Promise<number>} - The counter value before incrementing.
+     * Create or upgrade the database, creating the object store if necessary and
+     * updating indexes to match the record store's indexes.
+     * @param {IDBDatabase} database - The database.
+     * @param {IDBTransaction} transaction - The upgrade transaction.
+     * @private
      */
-    async getAndIncrement() {
-        const ret = await this.incrementAndGet() - 1;
-        return ret;
+    upgradeDatabase(database, transaction) {
+        let objectStore;
+        if(!database.objectStoreNames.contains(recordStoreObjectStoreName)) {
+            objectStore = database.createObjectStore(recordStoreObjectStoreName, { keyPath: this.keyPath });
+        }
+        else {
+            objectStore = transaction.objectStore(recordStoreObjectStoreName);
+        }
+        const indexesByName = new Map(this.indexes.map(index => [ index.name, index ]));
+        for(const indexName of Array.from(objectStore.indexNames)) {
+            const index = indexesByName.get(indexName);
+            const databaseIndex = objectStore.index(indexName);
+            if((index === undefined) ||
+               (JSON.stringify(databaseIndex.keyPath) !== JSON.stringify(index.keyPath)) ||
+               (databaseIndex.unique !== index.unique) ||
+               (databaseIndex.multiEntry !== index.multiEntry)) {
+                objectStore.deleteIndex(indexName);
+            }
+        }
+        for(const index of this.indexes) {
+            if(!objectStore.indexNames.contains(index.name)) {
+                objectStore.createIndex(index.name, index.keyPath, {
+                    unique: index.unique,
+                    multiEntry: index.multiEntry
+                });
+            }
+        }
     }
 
     /**
-     * Increment the value of the counter, ignoring the value. Identical to
-     * the Promise returned by `counter.incrementAndGet.then(value => return)`.
+     * Start a transaction on the record store.
+     * @param {string} [mode="readonly"] - The transaction mode, either "readonly" or
+     * "readwrite".
+     * @returns {Promise<IDBTransaction>} The transaction.
+     * @private
      */
-    async increment() {
-        await this.incrementAndGet();
-        return;
+    async startTransaction(mode = "readonly") {
+        const database = await this.getDatabase();
+        return database.transaction(recordStoreObjectStoreName, mode);
     }
 
-    async getAndReset() {
-        const currentCounterValue = this.counterValue;
-        this.counterValue = 0;
-        await Counter.storage.set(this.counterName, this.counterValue);
-        return currentCounterValue;
+    /**
+     * Get the object store or index to use for a query.
+     * @param {IDBTransaction} transaction - The transaction for the query.
+     * @param {RecordStoreQuery} query - The query.
+     * @returns {IDBObjectStore|IDBIndex} The object store or index for the query.
+     * @private
+     */
+    getQuerySource(transaction, query) {
+        const objectStore = transaction.objectStore(recordStoreObjectStoreName);
+        if(typeof query.index === "string") {
+            return objectStore.index(query.index);
+        }
+        return objectStore;
+    }
+
+    /**
+     * Store a record, replacing any existing record with the same key.
+     * @param {Object} record - The record to store.
+     * @returns {Promise<*>} A Promise that resolves to the key for the record once
+     * the record has been stored.
+     */
+    async put(record) {
+        const transaction = await this.startTransaction("readwrite");
+        const key = await indexedDBRequestToPromise(transaction.objectStore(recordStoreObjectStoreName).put(record));
+        await indexedDBTransactionToPromise(transaction);
+        return key;
+    }
+
+    /**
+     * Store multiple records in a single transaction, replacing any existing records
+     * with the same keys. If storing any record fails, no records are stored.
+     * @param {Object[]} records - The records to store.
+     * @returns {Promise} A Promise that resolves once the records have been stored.
+     */
+    async putMany(records) {
+        const transaction = await this.startTransaction("readwrite");
+        const objectStore = transaction.objectStore(recordStoreObjectStoreName);
+        for(const record of records) {
+            objectStore.put(record);
+        }
+        await indexedDBTransactionToPromise(transaction);
+    }
+
+    /**
+     * A function that computes an updated record from the current record.
+     * @callback recordStoreUpdateFunction
+     * @param {Object|null} record - The current record, or null if there is no
+     * record with the key.
+     * @returns {Object|undefined} The updated record, or undefined to leave the
+     * record store unchanged. The updated record must have the same key.
+     */
+
+    /**
+     * Atomically read and update a record. The read and the write happen in a single
+     * IndexedDB transaction, so concurrent updates (including from other extension
+     * contexts) cannot interleave. Note that the update function is called inside the
+     * transaction, so it must be synchronous.
+     * @param {*} key - The key for the record.
+     * @param {recordStoreUpdateFunction} updateFunction - A function that computes the
+     * updated record.
+     * @returns {Promise<Object|null>} A Promise that resolves to the record after the
+     * update (or the current record, if the update function returned undefined) once
+     * the transaction has completed.
+     */
+    async update(key, updateFunction) {
+        const transaction = await this.startTransaction("readwrite");
+        const objectStore = transaction.objectStore(recordStoreObjectStoreName);
+        const transactionPromise = indexedDBTransactionToPromise(transaction);
+        let updatedRecord = null;
+        let updateError = null;
+        const getRequest = objectStore.get(key);
+        getRequest.onsuccess = () => {
+            const currentRecord = getRequest.result === undefined ? null : getRequest.result;
+            try {
+                const newRecord = updateFunction(currentRecord);
+                if(newRecord === undefined) {
+                    updatedRecord = currentRecord;
+                    return;
+                }
+                updatedRecord = newRecord;
+                objectStore.put(newRecord);
+            }
+            catch(error) {
+                updateError = error;
+                transaction.abort();
+            }
+        };
+        try {
+            await transactionPromise;
+        }
+        catch(error) {
+            throw updateError !== null ? updateError : error;
+        }
+        return updatedRecord;
+    }
+
+    /**
+     * A function that computes updates to multiple records from the current records.
+     * @callback recordStoreUpdateManyFunction
+     * @param {Map<*, Object|null>} records - The current records, where each key is a
+     * record key and each value is the current record or null if there is no record
+     * with the key.
+     * @returns {{put: Object[], delete: Array}|undefined} The records to store and the
+     * keys of records to delete, or undefined to leave the record store unchanged.
+     */
+
+    /**
+     * Atomically read multiple records and then store and delete records, in a single
+     * IndexedDB transaction. Note that the update function is called inside the
+     * transaction, so it must be synchronous.
+     * @param {Array} keys - The keys for the records to read.
+     * @param {recordStoreUpdateManyFunction} updateFunction - A function that computes
+     * the records to store and delete.
+     * @returns {Promise} A Promise that resolves once the transaction has completed.
+     */
+    async updateMany(keys, updateFunction) {
+        const transaction = await this.startTransaction("readwrite");
+        const objectStore = transaction.objectStore(recordStoreObjectStoreName);
+        const transactionPromise = indexedDBTransactionToPromise(transaction);
+        const records = new Map();
+        let pendingRequests = keys.length;
+        let updateError = null;
+        const applyUpdate = () => {
+            try {
+                const updates = updateFunction(records);
+                if(updates === undefined) {
+                    return;
+                }
+                for(const key of ("delete" in updates) ? updates.delete : [ ]) {
+                    objectStore.delete(key);
+                }
+                for(const record of ("put" in updates) ? updates.put : [ ]) {
+                    objectStore.put(record);
+                }
+            }
+            catch(error) {
+                updateError = error;
+                transaction.abort();
+            }
+        };
+        if(pendingRequests === 0) {
+            applyUpdate();
+        }
+        for(const key of keys) {
+            const getRequest = objectStore.get(key);
+            getRequest.onsuccess = () => {
+                records.set(key, getRequest.result === undefined ? null : getRequest.result);
+                pendingRequests--;
+                if(pendingRequests === 0) {
+                    applyUpdate();
+                }
+            };
+        }
+        try {
+            await transactionPromise;
+        }
+        catch(error) {
+            throw updateError !== null ? updateError : error;
+        }
+    }
+
+    /**
+     * Get a record by its key.
+     * @param {*} key - The key for the record.
+     * @returns {Promise<Object|null>} A Promise that resolves to the record, or null
+     * if there is no record with the key.
+     */
+    async get(key) {
+        const transaction = await this.startTransaction();
+        const record = await indexedDBRequestToPromise(transaction.objectStore(recordStoreObjectStoreName).get(key));
+        return record === undefined ? null : record;
+    }
+
+    /**
+     * Get the records that match a query.
+     * @param {RecordStoreQuery} [query={}] - The query.
+     * @returns {Promise<Object[]>} A Promise that resolves to the matching records.
+     * @example
+     * // Page visits between two dates, most recent first
+     * pageDataStore.getAll({
+     *   index: "pageVisitStartTime",
+     *   lowerBound: startDate.getTime(),
+     *   upperBound: endDate.getTime(),
+     *   direction: "prev"
+     * });
+     */
+    async getAll(query = { }) {
+        // IndexedDB getAll only supports ascending key order, so fall back to a
+        // cursor for other directions
+        if(("direction" in query) && (query.direction !== "next")) {
+            const records = [ ];
+            await this.iterate(record => {
+                records.push(record);
+            }, query);
+            return records;
+        }
+        const transaction = await this.startTransaction();
+        const querySource = this.getQuerySource(transaction, query);
+        return await indexedDBRequestToPromise(querySource.getAll(recordStoreQueryToKeyRange(query), query.limit));
+    }
+
+    /**
+     * Count the records that match a query.
+     * @param {RecordStoreQuery} [query={}] - The query. The `direction` and `limit`
+     * properties are ignored.
+     * @returns {Promise<number>} A Promise that resolves to the number of matching
+     * records.
+     */
+    async count(query = { }) {
+        const transaction = await this.startTransaction();
+        const querySource = this.getQuerySource(transaction, query);
+        const keyRange = recordStoreQueryToKeyRange(query);
+        return await indexedDBRequestToPromise(keyRange === null ? querySource.count() : querySource.count(keyRange));
+    }
+
+    /**
+     * A callback function for iterating records in a record store.
+     * @callback recordStoreIterationCallback
+     * @param {Object} record - The current record.
+     * @returns {boolean|undefined} Return `false` to stop iterating.
+     */
+
+    /**
+     * Iterate the records that match a query with a cursor. Records are loaded one at
+     * a time, so iterating is suitable for queries that match many records. Note that
+     * the callback function is called inside an IndexedDB transaction, so it must be
+     * synchronous; awaiting inside the callback will cause the transaction to end.
+     * @param {recordStoreIterationCallback} callback - A function that is called with
+     * each matching record.
+     * @param {RecordStoreQuery} [query={}] - The query.
+     * @returns {Promise<number>} A Promise that resolves to the number of records that
+     * were iterated.
+     */
+    async iterate(callback, query = { }) {
+        const transaction = await this.startTransaction();
+        const querySource = this.getQuerySource(transaction, query);
+        const request = querySource.openCursor(recordStoreQueryToKeyRange(query), "direction" in query ? query.direction : "next");
+        const limit = typeof query.limit === "number" ? query.limit : Infinity;
+        let recordCount = 0;
+        await new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if((cursor === null) || (recordCount >= limit)) {
+                    resolve();
+                    return;
+                }
+                recordCount++;
+                let continueIterating;
+                try {
+                    continueIterating = callback(cursor.value);
+                }
+                catch(error) {
+                    reject(error);
+                    return;
+                }
+                if(continueIterating === false) {
+                    resolve();
+                    return;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => { reject(request.error); };
+        });
+        return recordCount;
+    }
+
+    /**
+     * Delete a record by its key.
+     * @param {*} key - The key for the record.
+     * @returns {Promise} A Promise that resolves once the record has been deleted.
+     */
+    async delete(key) {
+        const transaction = await this.startTransaction("readwrite");
+        transaction.objectStore(recordStoreObjectStoreName).delete(key);
+        await indexedDBTransactionToPromise(transaction);
+    }
+
+    /**
+     * Delete multiple records by key in a single transaction.
+     * @param {Array} keys - The keys for the records.
+     * @returns {Promise} A Promise that resolves once the records have been deleted.
+     */
+    async deleteMany(keys) {
+        const transaction = await this.startTransaction("readwrite");
+        const objectStore = transaction.objectStore(recordStoreObjectStoreName);
+        for(const key of keys) {
+            objectStore.delete(key);
+        }
+        await indexedDBTransactionToPromise(transaction);
+    }
+
+    /**
+     * Delete all records in the record store.
+     * @returns {Promise} A Promise that resolves once the records have been deleted.
+     */
+    async clear() {
+        const transaction = await this.startTransaction("readwrite");
+        transaction.objectStore(recordStoreObjectStoreName).clear();
+        await indexedDBTransactionToPromise(transaction);
+    }
+
+    /**
+     * Close the underlying database. The database will be reopened if the record
+     * store is used again.
+     * @returns {Promise} A Promise that resolves once the database has been closed.
+     */
+    async close() {
+        if(this.databasePromise === null) {
+            return;
+        }
+        const databasePromise = this.databasePromise;
+        this.databasePromise = null;
+        try {
+            (await databasePromise).close();
+        }
+        catch(error) {
+            return;
+        }
     }
 }
 
-// Workaround for static class variable
-Counter.storage = null;
+/**
+ * The time series resolutions, from finest to coarsest.
+ * @constant {string[]}
+ * @private
+ */
+const timeSeriesResolutions = [ "hour", "day", "week" ];
+
+/**
+ * The time series in this extension context, which are downsampled during background
+ * storage maintenance.
+ * @constant {Set<TimeSeries>}
+ * @private
+ */
+const maintenanceTimeSeries = new Set();
+
+/**
+ * Compute the start of the time series bucket that contains a time, in local time.
+ * Days start at midnight, and weeks start at midnight on Sunday.
+ * @param {number} timeStamp - The time, in milliseconds since the epoch.
+ * @param {string} resolution - The bucket resolution ("hour", "day", or "week").
+ * @returns {number} The start of the bucket, in milliseconds since the epoch.
+ * @private
+ */
+function timeSeriesBucketStart(timeStamp, resolution) {
+    const date = new Date(timeStamp);
+    if(resolution === "hour") {
+        date.setMinutes(0, 0, 0);
+    }
+    else {
+        date.setHours(0, 0, 0, 0);
+        if(resolution === "week") {
+            date.setDate(date.getDate() - date.getDay());
+        }
+    }
+    return date.getTime();
+}
+
+/**
+ * Generate a stable string representation of time series dimensions, with properties
+ * in sorted order.
+ * @param {Object} dimensions - The dimensions.
+ * @returns {string} The string representation.
+ * @private
+ */
+function timeSeriesDimensionKey(dimensions) {
+    return JSON.stringify(Object.keys(dimensions).sort().map(dimension => [ dimension, dimensions[dimension] ]));
+}
+
+/**
+ * Merge the aggregations from one time series bucket into another.
+ * @param {TimeSeriesBucket} bucket - The bucket to merge into, which is modified.
+ * @param {TimeSeriesBucket} otherBucket - The bucket to merge from.
+ * @private
+ */
+function mergeTimeSeriesBuckets(bucket, otherBucket) {
+    bucket.count += otherBucket.count;
+    bucket.sum += otherBucket.sum;
+    bucket.min = Math.min(bucket.min, otherBucket.min);
+    bucket.max = Math.max(bucket.max, otherBucket.max);
+    if((bucket.histogram !== null) && (otherBucket.histogram !== null)) {
+        for(let i = 0; i < bucket.histogram.length; i++) {
+            bucket.histogram[i] += otherBucket.histogram[i];
+        }
+    }
+}
+
+/**
+ * An aggregation of time series values in a time bucket, for a combination of
+ * dimension values.
+ * @typedef {Object} TimeSeriesBucket
+ * @property {string} resolution - The bucket resolution ("hour", "day", or "week").
+ * @property {number} bucketStart - The start of the bucket, in milliseconds since the epoch.
+ * @property {Object} dimensions - The dimension values for the bucket.
+ * @property {number} count - The number of recorded values.
+ * @property {number} sum - The sum of recorded values.
+ * @property {number} min - The minimum recorded value.
+ * @property {number} max - The maximum recorded value.
+ * @property {number} mean - The mean recorded value (only in query results).
+ * @property {number[]|null} histogram - The number of recorded values in each histogram
+ * bin, or null if the time series does not have histogram boundaries. With boundaries
+ * `[b0, b1, ..., bn]`, the bins are `(-Infinity, b0)`, `[b0, b1)`, ..., `[bn, Infinity)`.
+ */
+
+/**
+ * Create a time series, which aggregates numeric values (e.g., attention durations)
+ * into hourly, daily, and weekly buckets keyed by arbitrary dimensions (e.g., the public
+ * suffix + 1 of a page). Each bucket stores the count, sum, minimum, maximum, and
+ * (optionally) a histogram of recorded values. Values are recorded in hourly buckets,
+ * and old buckets are automatically downsampled into coarser buckets about once a day
+ * when the browser is idle. Time series are backed by a record store.
+ * @param {string} timeSeriesName - A name that uniquely identifies the time series.
+ * @param {Object} [options] - Options for the time series.
+ * @param {number[]} [options.histogramBoundaries] - Ascending histogram bin boundaries.
+ * If not specified, buckets do not include histograms. Histogram boundaries should not
+ * change after values have been recorded.
+ * @param {number} [options.hourlyRetention=604800000] - How long (in milliseconds) to
+ * keep hourly buckets before downsampling them into daily buckets. Defaults to 7 days.
+ * @param {number} [options.dailyRetention=7776000000] - How long (in milliseconds) to
+ * keep daily buckets before downsampling them into weekly buckets. Defaults to 90 days.
+ * @param {number} [options.weeklyRetention=Infinity] - How long (in milliseconds) to
+ * keep weekly buckets before deleting them.
+ * @returns {TimeSeries} The new TimeSeries object.
+ * @example
+ * const attentionTimeSeries = storage.createTimeSeries("attention", {
+ *   histogramBoundaries: [ 1000, 10000, 60000, 600000 ]
+ * });
+ * pageNavigation.onPageData.addListener(pageData => {
+ *   attentionTimeSeries.record(pageData.attentionDuration, {
+ *     dimensions: { domain: linkResolution.urlToPS1(pageData.url) },
+ *     timeStamp: pageData.pageVisitStartTime
+ *   });
+ * }, {
+ *   matchPatterns: [ "<all_urls>" ]
+ * });
+ * // Daily attention per domain for the past week
+ * const dailyAttention = await attentionTimeSeries.query({
+ *   resolution: "day",
+ *   startTime: Date.now() - 7 * 86400000
+ * });
+ */
+export function createTimeSeries(timeSeriesName, {
+    histogramBoundaries = null,
+    hourlyRetention = 7 * 86400000,
+    dailyRetention = 90 * 86400000,
+    weeklyRetention = Infinity
+} = { }) {
+    return new TimeSeries(timeSeriesName, {
+        histogramBoundaries,
+        hourlyRetention,
+        dailyRetention,
+        weeklyRetention
+    });
+}
+
+/**
+ * Class for a time series of numeric values aggregated into time buckets. Use the
+ * `createTimeSeries` function to create a TimeSeries object.
+ */
+class TimeSeries {
+    /**
+     * Create a time series.
+     * @param {string} timeSeriesName - A name that uniquely identifies the time series.
+     * @param {Object} options - Options for the time series. See `createTimeSeries`.
+     * @private
+     */
+    constructor(timeSeriesName, {
+        histogramBoundaries,
+        hourlyRetention,
+        dailyRetention,
+        weeklyRetention
+    }) {
+        this.timeSeriesName = timeSeriesName;
+        this.histogramBoundaries = histogramBoundaries;
+        this.retention = {
+            hour: hourlyRetention,
+            day: dailyRetention,
+            week: weeklyRetention
+        };
+        this.recordStore = createRecordStore(`webScience.storage.timeSeries.${timeSeriesName}`, {
+            keyPath: "id",
+            indexes: [{
+                name: "resolutionBucketStart",
+                keyPath: [ "resolution", "bucketStart" ]
+            }]
+        });
+        maintenanceTimeSeries.add(this);
+        initializeMaintenance();
+    }
+
+    /**
+     * Generate the record key for a bucket.
+     * @param {string} resolution - The bucket resolution.
+     * @param {number} bucketStart - The start of the bucket.
+     * @param {string} dimensionKey - The string representation of the bucket dimensions.
+     * @returns {string} The record key.
+     * @private
+     */
+    bucketId(resolution, bucketStart, dimensionKey) {
+        return `${resolution}|${bucketStart}|${dimensionKey}`;
+    }
+
+    /**
+     * Record a value in the time series. The value is atomically added to the hourly
+     * bucket for the time stamp and dimensions.
+     * @param {number} value - The value to record.
+     * @param {Object} [options] - Options for recording the value.
+     * @param {Object} [options.dimensions={}] - The dimension values for the value
+     * (e.g., `{ domain: "example.com" }`). Dimension values must be JSON serializable.
+     * @param {number} [options.timeStamp] - The time for the value, in milliseconds
+     * since the epoch. Defaults to the current time.
+     * @returns {Promise} A Promise that resolves once the value has been recorded.
+     */
+    async record(value, {
+        dimensions = { },
+        timeStamp = Date.now()
+    } = { }) {
+        const bucketStart = timeSeriesBucketStart(timeStamp, "hour");
+        const dimensionKey = timeSeriesDimensionKey(dimensions);
+        const id = this.bucketId("hour", bucketStart, dimensionKey);
+        const observation = {
+            count: 1,
+            sum: value,
+            min: value,
+            max: value,
+            histogram: null
+        };
+        if(Array.isArray(this.histogramBoundaries)) {
+            observation.histogram = new Array(this.histogramBoundaries.length + 1).fill(0);
+            let bin = 0;
+            while((bin < this.histogramBoundaries.length) && (value >= this.histogramBoundaries[bin])) {
+                bin++;
+            }
+            observation.histogram[bin] = 1;
+        }
+        await this.recordStore.update(id, bucket => {
+            if(bucket === null) {
+                return Object.assign({
+                    id,
+                    resolution: "hour",
+                    bucketStart,
+                    dimensions,
+                    dimensionKey
+                }, observation);
+            }
+            mergeTimeSeriesBuckets(bucket, observation);
+            return bucket;
+        });
+    }
+
+    /**
+     * Query the time series. Buckets at finer resolutions than the requested resolution
+     * are combined into buckets at the requested resolution. Buckets that have already
+     * been downsampled to a coarser resolution than the requested resolution are returned
+     * at their coarser resolution.
+     * @param {Object} [options] - Options for the query.
+     * @param {string} [options.resolution="day"] - The resolution for results ("hour",
+     * "day", or "week").
+     * @param {number} [options.startTime=0] - Only include buckets that start at or
+     * after this time, in milliseconds since the epoch. The start time is rounded down
+     * to the start of a bucket at the requested resolution.
+     * @param {number} [options.endTime=Infinity] - Only include buckets that start
+     * before this time, in milliseconds since the epoch.
+     * @param {Object} [options.dimensions] - Only include buckets with these dimension
+     * values. Buckets may have additional dimensions.
+     * @param {string[]} [options.groupBy] - The dimensions to group results by. If
+     * specified, buckets are combined across other dimensions. If not specified, results
+     * are grouped by all dimensions.
+     * @returns {Promise<TimeSeriesBucket[]>} A Promise that resolves to the matching
+     * buckets, sorted by bucket start.
+     */
+    async query({
+        resolution = "day",
+        startTime = 0,
+        endTime = Infinity,
+        dimensions = { },
+        groupBy = null
+    } = { }) {
+        const resolutionIndex = timeSeriesResolutions.indexOf(resolution);
+        if(resolutionIndex < 0) {
+            throw new Error(`Unsupported time series resolution: ${resolution}`);
+        }
+        // Start from the earliest possible bucket at any resolution that could
+        // overlap the requested start time
+        const queryStartTime = timeSeriesBucketStart(startTime, "week");
+        const results = new Map();
+        for(const bucketResolution of timeSeriesResolutions) {
+            const buckets = await this.recordStore.getAll({
+                index: "resolutionBucketStart",
+                lowerBound: [ bucketResolution, queryStartTime ],
+                upperBound: [ bucketResolution, endTime ],
+                upperOpen: true
+            });
+            const resultResolution = timeSeriesResolutions.indexOf(bucketResolution) < resolutionIndex ? resolution : bucketResolution;
+            for(const bucket of buckets) {
+                const resultBucketStart = timeSeriesBucketStart(bucket.bucketStart, resultResolution);
+                if(resultBucketStart < timeSeriesBucketStart(startTime, resultResolution)) {
+                    continue;
+                }
+                let matchesDimensions = true;
+                for(const dimension in dimensions) {
+                    if(bucket.dimensions[dimension] !== dimensions[dimension]) {
+                        matchesDimensions = false;
+                        break;
+                    }
+                }
+                if(!matchesDimensions) {
+                    continue;
+                }
+                let resultDimensions = bucket.dimensions;
+                if(Array.isArray(groupBy)) {
+                    resultDimensions = { };
+                    for(const dimension of groupBy) {
+                        if(dimension in bucket.dimensions) {
+                            resultDimensions[dimension] = bucket.dimensions[dimension];
+                        }
+                    }
+                }
+                const resultId = this.bucketId(resultResolution, resultBucketStart, timeSeriesDimensionKey(resultDimensions));
+                const result = results.get(resultId);
+                if(result === undefined) {
+                    results.set(resultId, {
+                        resolution: resultResolution,
+                        bucketStart: resultBucketStart,
+                        dimensions: resultDimensions,
+                        count: bucket.count,
+                        sum: bucket.sum,
+                        min: bucket.min,
+                        max: bucket.max,
+                        histogram: bucket.histogram
+                    });
+                }
+                else {
+                    mergeTimeSeriesBuckets(result, bucket);
+                }
+            }
+        }
+        const sortedResults = Array.from(results.values()).sort((a, b) => a.bucketStart - b.bucketStart);
+        for(const result of sortedResults) {
+            result.mean = result.count > 0 ? result.sum / result.count : 0;
+        }
+        return sortedResults;
+    }
+
+    /**
+     * Downsample old buckets into coarser buckets, and delete weekly buckets that are
+     * older than the weekly retention period. Downsampling is atomic, so values are
+     * never double counted or lost. Downsampling automatically runs about once a day
+     * when the browser is idle, so studies usually do not need to call this function.
+     * @returns {Promise} A Promise that resolves once downsampling is complete.
+     */
+    async downsample() {
+        const currentTime = Date.now();
+        for(let i = 0; i < timeSeriesResolutions.length - 1; i++) {
+            const resolution = timeSeriesResolutions[i];
+            const coarserResolution = timeSeriesResolutions[i + 1];
+            // Only downsample into coarser buckets that have ended, so that a
+            // coarser bucket is not split between resolutions
+            const thresholdTime = timeSeriesBucketStart(currentTime - this.retention[resolution], coarserResolution);
+            const buckets = await this.recordStore.getAll({
+                index: "resolutionBucketStart",
+                lowerBound: [ resolution, -Infinity ],
+                upperBound: [ resolution, thresholdTime ],
+                upperOpen: true
+            });
+            if(buckets.length === 0) {
+                continue;
+            }
+            const keys = new Set();
+            for(const bucket of buckets) {
+                keys.add(bucket.id);
+                keys.add(this.bucketId(coarserResolution, timeSeriesBucketStart(bucket.bucketStart, coarserResolution), bucket.dimensionKey));
+            }
+            await this.recordStore.updateMany(Array.from(keys), records => {
+                const coarserBuckets = new Map();
+                const bucketIdsToDelete = [ ];
+                for(const record of records.values()) {
+                    if((record === null) || (record.resolution !== resolution)) {
+                        continue;
+                    }
+                    bucketIdsToDelete.push(record.id);
+                    const coarserBucketStart = timeSeriesBucketStart(record.bucketStart, coarserResolution);
+                    const coarserId = this.bucketId(coarserResolution, coarserBucketStart, record.dimensionKey);
+                    let coarserBucket = coarserBuckets.get(coarserId);
+                    if(coarserBucket === undefined) {
+                        coarserBucket = records.get(coarserId);
+                        if(coarserBucket === null) {
+                            coarserBucket = Object.assign({ }, record, {
+                                id: coarserId,
+                                resolution: coarserResolution,
+                                bucketStart: coarserBucketStart,
+                                histogram: record.histogram !== null ? record.histogram.slice() : null
+                            });
+                            coarserBuckets.set(coarserId, coarserBucket);
+                            continue;
+                        }
+                        coarserBuckets.set(coarserId, coarserBucket);
+                    }
+                    mergeTimeSeriesBuckets(coarserBucket, record);
+                }
+                return {
+                    put: Array.from(coarserBuckets.values()),
+                    delete: bucketIdsToDelete
+                };
+            });
+            debugLog(`Downsampled ${buckets.length} ${resolution} buckets in time series ${this.timeSeriesName}`);
+        }
+
+        const coarsestResolution = timeSeriesResolutions[timeSeriesResolutions.length - 1];
+        if(this.retention[coarsestResolution] !== Infinity) {
+            const expiredBucketIds = [ ];
+            await this.recordStore.iterate(bucket => {
+                expiredBucketIds.push(bucket.id);
+            }, {
+                index: "resolutionBucketStart",
+                lowerBound: [ coarsestResolution, -Infinity ],
+                upperBound: [ coarsestResolution, currentTime - this.retention[coarsestResolution] ],
+                upperOpen: true
+            });
+            if(expiredBucketIds.length > 0) {
+                await this.recordStore.deleteMany(expiredBucketIds);
+            }
+        }
+    }
+
+    /**
+     * Delete all buckets in the time series.
+     * @returns {Promise} A Promise that resolves once the buckets have been deleted.
+     */
+    async clear() {
+        await this.recordStore.clear();
+    }
+}
@@ -17,15 +17,15 @@ export { events }
 import * as id from "./id.js"
 export { id }
 
+import * as idle from "./idle.js"
+export { idle }
+
 import * as storage from "./storage.js"
 export { storage }
 
 import * as messaging from "./messaging.js"
 export { messaging }
 
-import * as idle from "./idle.js"
-export { idle }
-
 import * as matching from "./matching.js"
 export { matching }
 
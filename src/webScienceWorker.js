@@ -0,0 +1,20 @@
+// Assemble the worker-safe webScience namespace by re-exporting modules
+// that do not depend on WebExtensions APIs, for use in Web Workers.
+// Note that the order of modules matters. When adding a new module, it
+// should come after dependencies, and it must not (directly or indirectly)
+// import a module that uses WebExtensions APIs.
+
+import * as debugging from "./debugging.js"
+export { debugging }
+
+import * as id from "./id.js"
+export { id }
+
+import * as matching from "./matching.js"
+export { matching }
+
+import * as linkResolution from "./linkResolutionParsers.js"
+export { linkResolution }
+
+import * as workers from "./workers.js"
+export { workers }
@@ -16,6 +16,34 @@
  * all blob URLs to load as worker scripts, which may not be permissible
  * for addons.mozilla.org review.
  * 
+ * # Forwarding Events
+ * To forward several events to a worker, use `forwardEvents` in the background
+ * script and `createEventDispatcher` in the worker script. Event arguments and
+ * listener options that contain `MatchPatternSet` objects are serialized and
+ * restored in the worker, and forwarding stops when the worker is terminated.
+ * 
+ * # Remote Procedure Calls
+ * Event listeners only send messages to a worker. When the background script
+ * needs a response (e.g., a classifier label for webpage text), use
+ * `createWorkerClient` in the background script and `registerWorkerHandlers`
+ * in the worker script. Remote calls return Promises, support timeouts and
+ * transferable objects, and propagate errors thrown in the worker. The
+ * worker-side functions do not depend on WebExtensions APIs.
+ * 
+ * # Worker Pools
+ * For CPU-heavy tasks (e.g., running a model on every page), `createPool`
+ * distributes remote calls across several workers with the same script. Each
+ * worker runs one call at a time, and additional calls wait in a bounded queue.
+ * Workers that throw an uncaught error or time out are replaced. The pool
+ * periodically reports queue depth and latency metrics to the debugging log.
+ * 
+ * # Worker-Safe Library
+ * The `webScienceWorker.js` build entry point provides a subset of WebScience
+ * that does not depend on WebExtensions APIs and can be imported in module
+ * workers: `debugging`, `id`, `matching`, `linkResolution` (URL parsing and
+ * public suffix + 1 functions only), and `workers` (including the worker-side
+ * functions `registerWorkerHandlers`, `withTransfer`, and `createEventDispatcher`).
+ * 
  * # Future Directions
  * If we identify a path forward for loading worker scripts from blob
  * URLs, we could enable a more streamlined design pattern for WebScience
@@ -24,6 +52,15 @@
  * @module webScience.workers
  */
 
+import * as debugging from "./debugging.js";
+import * as matching from "./matching.js";
+
+/**
+ * @constant {debugging.debuggingLogger}
+ * @private
+ */
+const debugLog = debugging.getDebuggingLog("workers");
+
 /**
  * An object that is posted as a message to a Web Worker when an
  * event fires. 
@@ -64,6 +101,11 @@
  * specified), because `eventName` (if not provided as a parameter) will
  * be automatically set to the event's name when the listener is added to
  * the event.
+ * @param {Object} [options] - Options for the listener.
+ * @param {boolean} [options.serializeMatchPatternSets=false] - Whether to replace
+ * `MatchPatternSet` objects in listener arguments (which do not survive the structured
+ * clone algorithm) with serialized forms that `createEventDispatcher` restores.
+ * Listener arguments are otherwise posted to the Worker as-is.
  * @returns {Function} A listener function for the event. Each listener
  * function should only be used with one event.
  * @example
@@ -90,7 +132,9 @@
  *   }
  * });
  */
-export function createEventListener(worker, eventName = null) {
+export function createEventListener(worker, eventName = null, {
+    serializeMatchPatternSets = false
+} = { }) {
     const listener = function(...args) {
         // If there was an event name parameter, use that as the event name for the message to the worker
         // If there was no event name parameter but an event name annotation was set on the listener
@@ -106,9 +150,979 @@ export function createEventListener(worker, eventName = null) {
         if(typeof messageEventName === "string") {
             worker.postMessage({
                 eventName: messageEventName,
-                listenerArguments: args
+                listenerArguments: serializeMatchPatternSets ? serializeForWorker(args) : args
             });
         }
     };
     return listener;
 }
+
+/**
+ * Whether a value is a `MatchPatternSet`.
+ * @param {*} value - The value.
+ * @returns {boolean} Whether the value is a `MatchPatternSet`.
+ * @private
+ */
+function isMatchPatternSet(value) {
+    return (typeof value === "object") && (value !== null) &&
+        (typeof value.matches === "function") && (typeof value.export === "function") && (typeof value.import === "function");
+}
+
+/**
+ * Serialize a value for posting to a worker, replacing `MatchPatternSet` objects (which
+ * do not survive the structured clone algorithm) with their exports.
+ * @param {*} value - The value.
+ * @returns {*} The serialized value.
+ * @private
+ */
+function serializeForWorker(value) {
+    if(isMatchPatternSet(value)) {
+        return { webScienceMatchPatternSet: value.export() };
+    }
+    if(Array.isArray(value)) {
+        return value.map(serializeForWorker);
+    }
+    if((typeof value === "object") && (value !== null) && (Object.getPrototypeOf(value) === Object.prototype)) {
+        const serializedValue = { };
+        for(const key of Object.keys(value)) {
+            serializedValue[key] = serializeForWorker(value[key]);
+        }
+        return serializedValue;
+    }
+    return value;
+}
+
+/**
+ * Deserialize a value posted by `serializeForWorker`, restoring `MatchPatternSet` objects.
+ * @param {*} value - The serialized value.
+ * @returns {*} The value.
+ * @private
+ */
+function deserializeInWorker(value) {
+    if(Array.isArray(value)) {
+        return value.map(deserializeInWorker);
+    }
+    if((typeof value === "object") && (value !== null) && (Object.getPrototypeOf(value) === Object.prototype)) {
+        if("webScienceMatchPatternSet" in value) {
+            return matching.importMatchPatternSet(value.webScienceMatchPatternSet);
+        }
+        const deserializedValue = { };
+        for(const key of Object.keys(value)) {
+            deserializedValue[key] = deserializeInWorker(value[key]);
+        }
+        return deserializedValue;
+    }
+    return value;
+}
+
+/**
+ * An event to forward to a worker.
+ * @typedef {Object} ForwardedEvent
+ * @property {events.Event} event - The event (e.g., `pageText.onTextParsed`).
+ * @property {Object} [options] - The options for adding a listener to the event.
+ * @property {string} [eventName] - The name of the event in the worker. Defaults to the
+ * event's name.
+ */
+
+/**
+ * A message posted to a worker that describes the events forwarded to the worker.
+ * @typedef {Object} ForwardedEventsMessage
+ * @property {Array<{eventName: string, options: Object}>} webScienceForwardedEvents -
+ * The forwarded events and their (serialized) listener options.
+ * @private
+ */
+
+/**
+ * Forward events to a worker. The worker script should receive the events with
+ * `createEventDispatcher`. Call the returned function to stop forwarding the events
+ * (e.g., before terminating the worker). If a `WorkerClient` is provided, forwarding
+ * also stops automatically when the client is terminated.
+ * @param {Worker|WorkerClient} worker - The worker, or a client for the worker.
+ * @param {ForwardedEvent[]} forwardedEvents - The events to forward.
+ * @returns {Function} A function that stops forwarding the events.
+ * @example
+ * // background.js
+ * const worker = new Worker("worker.js");
+ * webScience.workers.forwardEvents(worker, [
+ *   {
+ *     event: webScience.pageText.onTextParsed,
+ *     options: { matchPatterns: [ "*://*.example.com/*" ] }
+ *   },
+ *   {
+ *     event: webScience.scheduling.onIdleDaily
+ *   }
+ * ]);
+ *
+ * // worker.js
+ * const dispatcher = createEventDispatcher();
+ * dispatcher.addListener("webScience.pageText.onTextParsed", (textParsedDetails) => { ... });
+ */
+export function forwardEvents(worker, forwardedEvents) {
+    let workerClient = null;
+    if(worker instanceof WorkerClient) {
+        workerClient = worker;
+        worker = worker.worker;
+    }
+    const registrations = [ ];
+    for(const { event, options, eventName = event.name } of forwardedEvents) {
+        if(typeof eventName !== "string") {
+            throw new Error("Forwarded events must have names.");
+        }
+        registrations.push({
+            event,
+            options,
+            eventName,
+            listener: createEventListener(worker, eventName, {
+                serializeMatchPatternSets: true
+            })
+        });
+    }
+    worker.postMessage({
+        webScienceForwardedEvents: registrations.map(({ eventName, options }) => ({
+            eventName,
+            options: serializeForWorker(options !== undefined ? options : null)
+        }))
+    });
+    for(const { event, options, listener } of registrations) {
+        event.addListener(listener, options);
+    }
+
+    let forwarding = true;
+    const stopForwarding = () => {
+        if(!forwarding) {
+            return;
+        }
+        forwarding = false;
+        for(const { event, listener } of registrations) {
+            event.removeListener(listener);
+        }
+    };
+    if(workerClient !== null) {
+        workerClient.addTerminationCallback(stopForwarding);
+    }
+    return stopForwarding;
+}
+
+/**
+ * Create a dispatcher for events forwarded to a worker with `forwardEvents`. For use in
+ * worker scripts. Listeners receive the same arguments as listeners for the event in the
+ * background script, with `MatchPatternSet` objects restored.
+ * @param {Object} [options] - Options for the dispatcher.
+ * @param {Object} [options.scope=self] - The worker global scope.
+ * @returns {EventDispatcher} The event dispatcher.
+ */
+export function createEventDispatcher({
+    scope = self
+} = { }) {
+    return new EventDispatcher(scope);
+}
+
+/**
+ * Class for dispatching events forwarded to a worker. Use the `createEventDispatcher`
+ * function to create an EventDispatcher object.
+ */
+class EventDispatcher {
+    /**
+     * Create an event dispatcher.
+     * @param {Object} scope - The worker global scope.
+     * @private
+     */
+    constructor(scope) {
+        this.listeners = new Map();
+        this.forwardedEvents = new Map();
+        scope.addEventListener("message", (messageEvent) => {
+            const message = messageEvent.data;
+            if((typeof message !== "object") || (message === null)) {
+                return;
+            }
+            if(Array.isArray(message.webScienceForwardedEvents)) {
+                for(const { eventName, options } of message.webScienceForwardedEvents) {
+                    this.forwardedEvents.set(eventName, deserializeInWorker(options));
+                }
+                return;
+            }
+            if((typeof message.eventName === "string") && Array.isArray(message.listenerArguments)) {
+                this.dispatch(message.eventName, deserializeInWorker(message.listenerArguments));
+            }
+        });
+    }
+
+    /**
+     * Notify the listeners for an event.
+     * @param {string} eventName - The name of the event.
+     * @param {Array} listenerArguments - The arguments for the listeners.
+     * @private
+     */
+    dispatch(eventName, listenerArguments) {
+        const eventListeners = this.listeners.get(eventName);
+        if(eventListeners === undefined) {
+            return;
+        }
+        for(const listener of eventListeners) {
+            try {
+                listener.apply(null, listenerArguments);
+            }
+            catch(error) {
+                debugLog.error(`Error in worker listener for ${eventName}: ${error}`);
+            }
+        }
+    }
+
+    /**
+     * Add a listener for a forwarded event.
+     * @param {string} eventName - The name of the event (e.g.,
+     * "webScience.pageText.onTextParsed").
+     * @param {Function} listener - The listener, which receives the same arguments as a
+     * listener for the event in the background script.
+     */
+    addListener(eventName, listener) {
+        let eventListeners = this.listeners.get(eventName);
+        if(eventListeners === undefined) {
+            eventListeners = new Set();
+            this.listeners.set(eventName, eventListeners);
+        }
+        eventListeners.add(listener);
+    }
+
+    /**
+     * Remove a listener for a forwarded event.
+     * @param {string} eventName - The name of the event.
+     * @param {Function} listener - The listener to remove.
+     */
+    removeListener(eventName, listener) {
+        const eventListeners = this.listeners.get(eventName);
+        if(eventListeners !== undefined) {
+            eventListeners.delete(listener);
+        }
+    }
+
+    /**
+     * Check whether a listener has been added for a forwarded event.
+     * @param {string} eventName - The name of the event.
+     * @param {Function} listener - The listener to check.
+     * @returns {boolean} Whether the listener has been added.
+     */
+    hasListener(eventName, listener) {
+        const eventListeners = this.listeners.get(eventName);
+        return (eventListeners !== undefined) && eventListeners.has(listener);
+    }
+
+    /**
+     * Get the events that the background script forwards to the worker, with the
+     * listener options for each event.
+     * @returns {Map<string, Object|null>} A map where each key is an event name and
+     * each value is the listener options for the event.
+     */
+    getForwardedEvents() {
+        return new Map(this.forwardedEvents);
+    }
+}
+
+/**
+ * The default timeout (in milliseconds) for remote calls to a worker.
+ * @constant {number}
+ * @private
+ * @default
+ */
+const defaultCallTimeout = 30000;
+
+/**
+ * A request message for a remote call to a worker.
+ * @typedef {Object} WorkerRequestMessage
+ * @property {string} webScienceRpc - Always "request".
+ * @property {number} requestId - A unique ID for the request, within the worker client.
+ * @property {string} method - The name of the handler to call in the worker.
+ * @property {Array} args - The arguments for the handler.
+ * @private
+ */
+
+/**
+ * A response message for a remote call to a worker.
+ * @typedef {Object} WorkerResponseMessage
+ * @property {string} webScienceRpc - "response" if the handler returned a result,
+ * or "error" if the handler threw an error.
+ * @property {number} requestId - The ID for the request.
+ * @property {*} [result] - The result returned by the handler.
+ * @property {{name: string, message: string, stack: string}} [error] - The error thrown
+ * by the handler.
+ * @private
+ */
+
+/**
+ * Create a client for making remote calls to handlers in a Web Worker. The worker
+ * script should register handlers with `registerWorkerHandlers`.
+ * @param {string|URL} url - The URL for the worker script.
+ * @param {Object} [options] - Options for the client.
+ * @param {number} [options.timeout=30000] - The default timeout (in milliseconds) for
+ * remote calls.
+ * @param {Object} [options.workerOptions={}] - Options for the Worker constructor
+ * (e.g., `{ type: "module" }`).
+ * @returns {WorkerClient} The worker client.
+ * @example
+ * // background.js
+ * const classifier = webScience.workers.createWorkerClient("classifier.worker.js");
+ * webScience.pageText.onTextParsed.addListener(async ({ textContent }) => {
+ *   const label = await classifier.call("classify", [ textContent ]);
+ * }, {
+ *   matchPatterns: [ "*://*.example.com/*" ]
+ * });
+ *
+ * // classifier.worker.js
+ * registerWorkerHandlers({
+ *   classify: (text) => model.predict(text)
+ * });
+ */
+export function createWorkerClient(url, {
+    timeout = defaultCallTimeout,
+    workerOptions = { }
+} = { }) {
+    return new WorkerClient(new Worker(url, workerOptions), { timeout });
+}
+
+/**
+ * Class for making remote calls to a Web Worker. Use the `createWorkerClient` function
+ * to create a WorkerClient object.
+ */
+class WorkerClient {
+    /**
+     * Create a worker client.
+     * @param {Worker} worker - The worker.
+     * @param {Object} options - Options for the client.
+     * @param {number} options.timeout - The default timeout (in milliseconds) for remote calls.
+     * @private
+     */
+    constructor(worker, { timeout }) {
+        this.worker = worker;
+        this.timeout = timeout;
+        this.nextRequestId = 0;
+        this.pendingRequests = new Map();
+        this.terminated = false;
+        this.terminationCallbacks = [ ];
+        this.worker.addEventListener("message", (event) => {
+            this.handleResponse(event.data);
+        });
+        // If the worker has an uncaught error or a message from the worker cannot be
+        // deserialized, responses to pending calls may never arrive, so reject the
+        // pending calls rather than waiting for them to time out
+        this.worker.addEventListener("error", (event) => {
+            this.rejectPendingCalls(`The worker had an uncaught error: ${event.message}`);
+        });
+        this.worker.addEventListener("messageerror", () => {
+            this.rejectPendingCalls("A message from the worker could not be deserialized.");
+        });
+    }
+
+    /**
+     * Reject every pending remote call.
+     * @param {string} reason - The error message for rejected remote calls.
+     * @private
+     */
+    rejectPendingCalls(reason) {
+        for(const { reject, timeoutId } of this.pendingRequests.values()) {
+            clearTimeout(timeoutId);
+            reject(new Error(reason));
+        }
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * Handle a message from the worker, settling the Promise for a remote call if the
+     * message is a response. Other messages are ignored.
+     * @param {*} message - The message.
+     * @private
+     */
+    handleResponse(message) {
+        if((typeof message !== "object") || (message === null) ||
+           ((message.webScienceRpc !== "response") && (message.webScienceRpc !== "error"))) {
+            return;
+        }
+        const pendingRequest = this.pendingRequests.get(message.requestId);
+        // The request may have timed out
+        if(pendingRequest === undefined) {
+            return;
+        }
+        this.pendingRequests.delete(message.requestId);
+        clearTimeout(pendingRequest.timeoutId);
+        if(message.webScienceRpc === "response") {
+            pendingRequest.resolve(message.result);
+            return;
+        }
+        const error = new Error(message.error.message);
+        error.name = message.error.name;
+        error.remoteStack = message.error.stack;
+        pendingRequest.reject(error);
+    }
+
+    /**
+     * Make a remote call to a handler in the worker.
+     * @param {string} method - The name of the handler.
+     * @param {Array} [args=[]] - The arguments for the handler. Arguments must be
+     * supported by the structured clone algorithm.
+     * @param {Object} [options] - Options for the call.
+     * @param {number} [options.timeout] - The timeout (in milliseconds) for the call.
+     * Defaults to the client's timeout.
+     * @param {Transferable[]} [options.transfer=[]] - Objects in the arguments to transfer
+     * to the worker rather than copy (e.g., ArrayBuffers).
+     * @returns {Promise<*>} A Promise that resolves to the handler's result, or rejects
+     * with the handler's error, a timeout error (with the name "TimeoutError"), a
+     * termination error, or an error if the worker has an uncaught error.
+     */
+    call(method, args = [ ], {
+        timeout = this.timeout,
+        transfer = [ ]
+    } = { }) {
+        if(this.terminated) {
+            return Promise.reject(new Error("The worker has been terminated."));
+        }
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                const timeoutError = new Error(`Remote call to ${method} timed out after ${timeout} ms.`);
+                timeoutError.name = "TimeoutError";
+                reject(timeoutError);
+            }, timeout);
+            this.pendingRequests.set(requestId, { resolve, reject, timeoutId });
+            try {
+                this.worker.postMessage({
+                    webScienceRpc: "request",
+                    requestId,
+                    method,
+                    args
+                }, transfer);
+            }
+            catch(error) {
+                this.pendingRequests.delete(requestId);
+                clearTimeout(timeoutId);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * The number of remote calls that are awaiting responses.
+     * @type {number}
+     */
+    get pendingCalls() {
+        return this.pendingRequests.size;
+    }
+
+    /**
+     * Terminate the worker. Pending remote calls are rejected.
+     * @param {string} [reason="The worker has been terminated."] - The error message for
+     * rejected remote calls.
+     */
+    terminate(reason = "The worker has been terminated.") {
+        if(this.terminated) {
+            return;
+        }
+        this.terminated = true;
+        this.worker.terminate();
+        this.rejectPendingCalls(reason);
+        for(const terminationCallback of this.terminationCallbacks) {
+            terminationCallback();
+        }
+        this.terminationCallbacks = [ ];
+    }
+
+    /**
+     * Add a function to call when the worker is terminated. If the worker has already
+     * been terminated, the function is called immediately.
+     * @param {Function} terminationCallback - The function.
+     * @private
+     */
+    addTerminationCallback(terminationCallback) {
+        if(this.terminated) {
+            terminationCallback();
+            return;
+        }
+        this.terminationCallbacks.push(terminationCallback);
+    }
+}
+
+/**
+ * The default interval (in milliseconds) between worker pool metrics reports.
+ * @constant {number}
+ * @private
+ * @default
+ */
+const defaultMetricsInterval = 60000;
+
+/**
+ * The maximum number of consecutive worker restarts in a worker pool, without a
+ * response from a worker in between, before the pool fails.
+ * @constant {number}
+ * @private
+ * @default
+ */
+const maxConsecutiveRestarts = 5;
+
+/**
+ * The delay (in milliseconds) before the first consecutive worker restart in a worker
+ * pool. The delay doubles for each subsequent consecutive restart.
+ * @constant {number}
+ * @private
+ * @default
+ */
+const initialRestartBackoff = 1000;
+
+/**
+ * Metrics for a worker pool.
+ * @typedef {Object} WorkerPoolMetrics
+ * @property {number} queueDepth - The number of calls waiting for a worker.
+ * @property {number} maxQueueDepth - The maximum queue depth since the last report.
+ * @property {number} activeCalls - The number of calls running in workers.
+ * @property {number} completedCalls - The number of calls that completed (successfully
+ * or with an error) since the last report.
+ * @property {number} rejectedCalls - The number of calls rejected because the queue was
+ * full since the last report.
+ * @property {number} workerRestarts - The number of workers restarted since the last report.
+ * @property {number} meanQueueLatency - The mean time (in milliseconds) that completed
+ * calls waited in the queue since the last report.
+ * @property {number} meanLatency - The mean time (in milliseconds) from enqueueing to
+ * completion for completed calls since the last report.
+ * @property {number} maxLatency - The maximum time (in milliseconds) from enqueueing to
+ * completion for completed calls since the last report.
+ */
+
+/**
+ * Create a pool of Web Workers with the same script, which distributes remote calls
+ * across the workers. The worker script should register handlers with
+ * `registerWorkerHandlers`. Each worker runs one call at a time, so the pool size is
+ * the maximum number of concurrent calls.
+ * @param {string|URL} url - The URL for the worker script.
+ * @param {Object} [options] - Options for the pool.
+ * @param {number} [options.size] - The number of workers. Defaults to the number of
+ * logical processors minus one, with a minimum of one.
+ * @param {number} [options.maxQueue=100] - The maximum number of calls waiting for a
+ * worker. Calls when the queue is full are rejected with an error named "QueueFullError".
+ * @param {number} [options.timeout=30000] - The timeout (in milliseconds) for calls,
+ * once running in a worker. A worker that times out or has an uncaught error is
+ * replaced, with exponential backoff for consecutive replacements. If workers are
+ * replaced too many times without responding to a call, the pool fails: running,
+ * queued, and subsequent calls are rejected.
+ * @param {Object} [options.workerOptions={}] - Options for the Worker constructor.
+ * @param {number} [options.metricsInterval=60000] - The interval (in milliseconds)
+ * between metrics reports to the debugging log. Reports are skipped if the pool was idle.
+ * @returns {WorkerPool} The worker pool.
+ * @example
+ * const classifierPool = webScience.workers.createPool("classifier.worker.js", {
+ *   size: 2,
+ *   maxQueue: 50
+ * });
+ * webScience.pageText.onTextParsed.addListener(async ({ textContent }) => {
+ *   await classifierPool.waitForCapacity();
+ *   const label = await classifierPool.call("classify", [ textContent ]);
+ * }, {
+ *   matchPatterns: [ "*://*.example.com/*" ]
+ * });
+ */
+export function createPool(url, {
+    size = Math.max(((typeof navigator === "object") && (navigator.hardwareConcurrency > 1)) ? navigator.hardwareConcurrency - 1 : 1, 1),
+    maxQueue = 100,
+    timeout = defaultCallTimeout,
+    workerOptions = { },
+    metricsInterval = defaultMetricsInterval
+} = { }) {
+    if(!Number.isInteger(size) || (size < 1)) {
+        throw new Error(`Invalid worker pool size: ${size}`);
+    }
+    return new WorkerPool(url, {
+        size,
+        maxQueue,
+        timeout,
+        workerOptions,
+        metricsInterval
+    });
+}
+
+/**
+ * Class for a pool of Web Workers. Use the `createPool` function to create a
+ * WorkerPool object.
+ */
+class WorkerPool {
+    /**
+     * Create a worker pool.
+     * @param {string|URL} url - The URL for the worker script.
+     * @param {Object} options - Options for the pool. See `createPool`.
+     * @private
+     */
+    constructor(url, {
+        size,
+        maxQueue,
+        timeout,
+        workerOptions,
+        metricsInterval
+    }) {
+        this.url = url;
+        this.maxQueue = maxQueue;
+        this.timeout = timeout;
+        this.workerOptions = workerOptions;
+        this.queue = [ ];
+        this.capacityWaiters = [ ];
+        this.terminated = false;
+        this.poolFailed = false;
+        this.terminationReason = null;
+        this.consecutiveRestarts = 0;
+        this.restartTimeoutIds = new Set();
+        this.resetMetrics();
+        this.workers = [ ];
+        for(let i = 0; i < size; i++) {
+            this.workers.push(this.startWorker());
+        }
+        this.metricsIntervalId = setInterval(() => {
+            this.reportMetrics();
+        }, metricsInterval);
+    }
+
+    /**
+     * Start a worker for the pool.
+     * @returns {{client: WorkerClient, busy: boolean}} A record for the worker.
+     * @private
+     */
+    startWorker() {
+        const workerRecord = {
+            client: new WorkerClient(new Worker(this.url, this.workerOptions), { timeout: this.timeout }),
+            busy: false
+        };
+        workerRecord.client.worker.addEventListener("error", (event) => {
+            this.restartWorker(workerRecord, `Uncaught error in worker: ${event.message}`);
+        });
+        return workerRecord;
+    }
+
+    /**
+     * Replace a worker that crashed or timed out. Any call running in the worker is
+     * rejected. Consecutive restarts are delayed with exponential backoff, and if there
+     * are too many consecutive restarts, the pool fails.
+     * @param {{client: WorkerClient, busy: boolean}} workerRecord - The record for the
+     * worker.
+     * @param {string} reason - Why the worker is being restarted.
+     * @private
+     */
+    restartWorker(workerRecord, reason) {
+        const workerIndex = this.workers.indexOf(workerRecord);
+        if((workerIndex < 0) || this.terminated) {
+            return;
+        }
+        if(this.consecutiveRestarts >= maxConsecutiveRestarts) {
+            debugLog.error(`Worker pool for ${this.url} failed after ${this.consecutiveRestarts} consecutive worker restarts: ${reason}`);
+            this.poolFailed = true;
+            this.shutDown(`The worker pool for ${this.url} failed: ${reason}`);
+            return;
+        }
+        const restartDelay = initialRestartBackoff * Math.pow(2, this.consecutiveRestarts);
+        this.consecutiveRestarts++;
+        debugLog.warn(`Restarting worker in pool for ${this.url} in ${restartDelay} ms: ${reason}`);
+        workerRecord.client.terminate(`The worker was restarted: ${reason}`);
+        this.metrics.workerRestarts++;
+        // Hold the worker's place in the pool without a client until the restart
+        const restartingWorkerRecord = {
+            client: null,
+            busy: false
+        };
+        this.workers[workerIndex] = restartingWorkerRecord;
+        const restartTimeoutId = setTimeout(() => {
+            this.restartTimeoutIds.delete(restartTimeoutId);
+            const restartingWorkerIndex = this.workers.indexOf(restartingWorkerRecord);
+            if((restartingWorkerIndex < 0) || this.terminated) {
+                return;
+            }
+            this.workers[restartingWorkerIndex] = this.startWorker();
+            this.dispatch();
+        }, restartDelay);
+        this.restartTimeoutIds.add(restartTimeoutId);
+    }
+
+    /**
+     * Reset the metrics for a new reporting interval.
+     * @private
+     */
+    resetMetrics() {
+        this.metrics = {
+            maxQueueDepth: this.queue.length,
+            completedCalls: 0,
+            rejectedCalls: 0,
+            workerRestarts: 0,
+            totalQueueLatency: 0,
+            totalLatency: 0,
+            maxLatency: 0
+        };
+    }
+
+    /**
+     * Get metrics for the pool since the last report.
+     * @returns {WorkerPoolMetrics} The metrics.
+     */
+    getMetrics() {
+        const completedCalls = this.metrics.completedCalls;
+        return {
+            queueDepth: this.queue.length,
+            maxQueueDepth: this.metrics.maxQueueDepth,
+            activeCalls: this.workers.filter(workerRecord => workerRecord.busy).length,
+            completedCalls,
+            rejectedCalls: this.metrics.rejectedCalls,
+            workerRestarts: this.metrics.workerRestarts,
+            meanQueueLatency: completedCalls > 0 ? this.metrics.totalQueueLatency / completedCalls : 0,
+            meanLatency: completedCalls > 0 ? this.metrics.totalLatency / completedCalls : 0,
+            maxLatency: this.metrics.maxLatency
+        };
+    }
+
+    /**
+     * Report metrics to the debugging log, if the pool was active, then reset the metrics.
+     * @private
+     */
+    reportMetrics() {
+        const metrics = this.getMetrics();
+        if((metrics.completedCalls > 0) || (metrics.rejectedCalls > 0) || (metrics.queueDepth > 0) ||
+           (metrics.activeCalls > 0) || (metrics.workerRestarts > 0)) {
+            debugLog.info(`Worker pool metrics for ${this.url}`, metrics);
+        }
+        this.resetMetrics();
+    }
+
+    /**
+     * The number of calls waiting for a worker.
+     * @type {number}
+     */
+    get queueDepth() {
+        return this.queue.length;
+    }
+
+    /**
+     * Whether the pool failed because of too many consecutive worker restarts. A
+     * failed pool is shut down, and calls to the pool are rejected.
+     * @type {boolean}
+     */
+    get failed() {
+        return this.poolFailed;
+    }
+
+    /**
+     * Make a remote call to a handler in one of the pool's workers.
+     * @param {string} method - The name of the handler.
+     * @param {Array} [args=[]] - The arguments for the handler.
+     * @param {Object} [options] - Options for the call.
+     * @param {Transferable[]} [options.transfer=[]] - Objects in the arguments to transfer
+     * to the worker rather than copy.
+     * @returns {Promise<*>} A Promise that resolves to the handler's result, or rejects
+     * with the handler's error, a timeout error, a termination error, an error if the
+     * pool has failed, or (if the queue is full) an error named "QueueFullError".
+     */
+    call(method, args = [ ], {
+        transfer = [ ]
+    } = { }) {
+        if(this.terminated) {
+            return Promise.reject(new Error(this.terminationReason));
+        }
+        if(this.queue.length >= this.maxQueue) {
+            this.metrics.rejectedCalls++;
+            const queueFullError = new Error(`The worker pool queue for ${this.url} is full.`);
+            queueFullError.name = "QueueFullError";
+            return Promise.reject(queueFullError);
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                method,
+                args,
+                transfer,
+                resolve,
+                reject,
+                enqueueTime: Date.now()
+            });
+            this.metrics.maxQueueDepth = Math.max(this.metrics.maxQueueDepth, this.queue.length);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Wait until the queue has capacity for another call. Use this function to apply
+     * backpressure to a producer of calls.
+     * @returns {Promise} A Promise that resolves once the queue is not full.
+     */
+    waitForCapacity() {
+        if(this.terminated || (this.queue.length < this.maxQueue)) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this.capacityWaiters.push(resolve);
+        });
+    }
+
+    /**
+     * Dispatch queued calls to idle workers.
+     * @private
+     */
+    dispatch() {
+        for(const workerRecord of this.workers) {
+            if(this.queue.length === 0) {
+                break;
+            }
+            if((workerRecord.client !== null) && !workerRecord.busy) {
+                this.runCall(workerRecord, this.queue.shift());
+            }
+        }
+        while((this.capacityWaiters.length > 0) && (this.queue.length < this.maxQueue)) {
+            this.capacityWaiters.shift()();
+        }
+    }
+
+    /**
+     * Run a queued call in a worker.
+     * @param {{client: WorkerClient, busy: boolean}} workerRecord - The record for the worker.
+     * @param {Object} queuedCall - The queued call.
+     * @private
+     */
+    async runCall(workerRecord, queuedCall) {
+        workerRecord.busy = true;
+        const startTime = Date.now();
+        try {
+            queuedCall.resolve(await workerRecord.client.call(queuedCall.method, queuedCall.args, {
+                transfer: queuedCall.transfer
+            }));
+            this.consecutiveRestarts = 0;
+        }
+        catch(error) {
+            if(error.name === "TimeoutError") {
+                this.restartWorker(workerRecord, error.message);
+            }
+            // An error from the handler means that the worker responded
+            else if("remoteStack" in error) {
+                this.consecutiveRestarts = 0;
+            }
+            queuedCall.reject(error);
+        }
+        finally {
+            const endTime = Date.now();
+            this.metrics.completedCalls++;
+            this.metrics.totalQueueLatency += startTime - queuedCall.enqueueTime;
+            this.metrics.totalLatency += endTime - queuedCall.enqueueTime;
+            this.metrics.maxLatency = Math.max(this.metrics.maxLatency, endTime - queuedCall.enqueueTime);
+            workerRecord.busy = false;
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Terminate the pool's workers. Running and queued calls are rejected.
+     */
+    terminate() {
+        this.shutDown("The worker pool has been terminated.");
+    }
+
+    /**
+     * Terminate the pool's workers, and reject running, queued, and subsequent calls.
+     * @param {string} reason - The error message for rejected calls.
+     * @private
+     */
+    shutDown(reason) {
+        if(this.terminated) {
+            return;
+        }
+        this.terminated = true;
+        this.terminationReason = reason;
+        clearInterval(this.metricsIntervalId);
+        for(const restartTimeoutId of this.restartTimeoutIds) {
+            clearTimeout(restartTimeoutId);
+        }
+        this.restartTimeoutIds.clear();
+        for(const workerRecord of this.workers) {
+            if(workerRecord.client !== null) {
+                workerRecord.client.terminate(reason);
+            }
+        }
+        for(const queuedCall of this.queue) {
+            queuedCall.reject(new Error(reason));
+        }
+        this.queue = [ ];
+        for(const resolve of this.capacityWaiters) {
+            resolve();
+        }
+        this.capacityWaiters = [ ];
+    }
+}
+
+/**
+ * A result from a worker handler, with objects to transfer rather than copy.
+ * @private
+ */
+class TransferableResult {
+    /**
+     * @param {*} result - The result.
+     * @param {Transferable[]} transfer - Objects in the result to transfer.
+     */
+    constructor(result, transfer) {
+        this.result = result;
+        this.transfer = transfer;
+    }
+}
+
+/**
+ * Wrap a result from a worker handler so that objects in the result are transferred
+ * to the background script rather than copied. For use in worker scripts.
+ * @param {*} result - The result.
+ * @param {Transferable[]} transfer - Objects in the result to transfer (e.g.,
+ * ArrayBuffers).
+ * @returns {Object} The wrapped result, which the handler should return.
+ * @example
+ * // worker.js
+ * registerWorkerHandlers({
+ *   embed: (text) => {
+ *     const embedding = model.embed(text);
+ *     return withTransfer(embedding, [ embedding.buffer ]);
+ *   }
+ * });
+ */
+export function withTransfer(result, transfer) {
+    return new TransferableResult(result, transfer);
+}
+
+/**
+ * Register handlers for remote calls from a `WorkerClient`. For use in worker scripts.
+ * Handlers may return a value or a Promise. If a handler throws an error (or the
+ * Promise rejects), the error's name, message, and stack are propagated to the
+ * remote call.
+ * @param {Object<string, Function>} handlers - An object where each property is a
+ * method name and each value is the handler function for the method.
+ * @param {Object} [options] - Options for the handlers.
+ * @param {Object} [options.scope=self] - The worker global scope.
+ */
+export function registerWorkerHandlers(handlers, {
+    scope = self
+} = { }) {
+    scope.addEventListener("message", async (event) => {
+        const message = event.data;
+        if((typeof message !== "object") || (message === null) || (message.webScienceRpc !== "request")) {
+            return;
+        }
+        const { requestId, method, args } = message;
+        try {
+            if(!Object.prototype.hasOwnProperty.call(handlers, method) || (typeof handlers[method] !== "function")) {
+                throw new Error(`No worker handler for method ${method}.`);
+            }
+            let result = await handlers[method].apply(null, args);
+            let transfer = [ ];
+            if(result instanceof TransferableResult) {
+                transfer = result.transfer;
+                result = result.result;
+            }
+            scope.postMessage({
+                webScienceRpc: "response",
+                requestId,
+                result
+            }, transfer);
+        }
+        catch(error) {
+            scope.postMessage({
+                webScienceRpc: "error",
+                requestId,
+                error: {
+                    name: (error instanceof Error) ? error.name : "Error",
+                    message: (error instanceof Error) ? error.message : `${error}`,
+                    stack: (error instanceof Error) && (typeof error.stack === "string") ? error.stack : ""
+                }
+            });
+        }
+    });
+}